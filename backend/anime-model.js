@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { ANIME_KINDS } = require('./metadata');
+
+// ========================================
+// ESQUEMA DE DATOS (compartido por server.js y migrate-auto.js)
+// ========================================
+const animeSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  name: String,
+  year: Number,
+  day: String,
+  isAiring: Boolean,
+  malId: Number,
+  image: String,
+  thumbnail: String,
+  synopsis: String,
+  genres: [String],
+  status: String,
+  kind: { type: String, enum: ANIME_KINDS, default: 'tv' }, // tv, movie, ova... (tipo de Jikan)
+  episodes: Number,
+  score: Number,
+  rating: String,
+  seasons: [{
+    seasonNumber: Number,
+    episodes: [{
+      episodeNumber: Number,
+      name: String,
+      videoUrl: String, // Primera fuente de la variante principal (compatibilidad con episodios sin sources)
+      fileName: String,
+      format: { type: String, enum: ['mp4', 'hls'], default: 'mp4' }, // Formato de videoUrl (hls = playlist .m3u8)
+      addedAt: Date, // Primera migración en la que apareció (se conserva entre migraciones)
+      sources: [{
+        variant: { type: String, default: 'sub' }, // sub, lat, cast (ver variants.js)
+        format: { type: String, enum: ['mp4', 'hls'], default: 'mp4' },
+        host: String,
+        url: String, // Enlace tal cual aparece en data.js
+        priority: Number, // Orden de la columna en data.js (0 = principal)
+        status: { type: String, enum: ['unknown', 'ok', 'down'], default: 'unknown' },
+        lastCheckedAt: Date,
+        latencyMs: Number, // Tiempo de respuesta en la última comprobación
+        lastError: String,
+        resolvedUrl: String, // URL final tras seguir las redirecciones del enlace corto
+        resolvedAt: Date,
+        resolvedExpiresAt: Date // Pasada esta fecha se vuelve a resolver url
+      }],
+      subtitles: [{
+        lang: String, // Código de idioma: "es", "es-419", "en"...
+        label: String, // Nombre que muestra el reproductor: "Español"
+        url: String,
+        format: { type: String, enum: ['vtt', 'srt'], default: 'vtt' } // SRT se convierte a VTT al servirlo
+      }]
+    }]
+  }]
+});
+
+// ========================================
+// ÍNDICES PARA LISTADOS PAGINADOS
+// Cada orden del catálogo (?sort=) tiene su índice compuesto con isAiring delante
+// ========================================
+animeSchema.index({ isAiring: 1, name: 1, _id: 1 });
+animeSchema.index({ isAiring: 1, year: -1, name: 1, _id: 1 });
+animeSchema.index({ isAiring: 1, score: -1, name: 1, _id: 1 });
+animeSchema.index({ isAiring: 1, _id: -1 });
+animeSchema.index({ kind: 1, name: 1, _id: 1 });
+animeSchema.index({ status: 1, name: 1, _id: 1 });
+
+// ========================================
+// ÍNDICE DE TEXTO PARA /api/search
+// Ignora mayúsculas y acentos; el nombre pesa más que la sinopsis
+// ========================================
+animeSchema.index(
+  { name: 'text', genres: 'text', synopsis: 'text' },
+  {
+    name: 'anime_text_search',
+    weights: { name: 10, genres: 5, synopsis: 1 },
+    default_language: 'spanish'
+  }
+);
+
+const Anime = mongoose.model('Anime', animeSchema);
+
+module.exports = { Anime, animeSchema };
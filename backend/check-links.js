@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { checkAllLinks, findUnhealthyEpisodes } = require('./link-health');
+
+// ========================================
+// CONEXIÓN A MONGODB
+// ========================================
+mongoose.connect(process.env.MONGODB_URI, { 
+  useNewUrlParser: true, 
+  useUnifiedTopology: true 
+}).then(() => {
+  console.log('✅ Conectado a MongoDB Atlas');
+}).catch(err => {
+  console.error('❌ Error de conexión:', err);
+});
+
+// ========================================
+// COMPROBAR ENLACES Y MOSTRAR REPORTE
+// Uso: node check-links.js [animeId]
+// ========================================
+async function runHealthCheck() {
+  const animeId = process.argv[2];
+  console.log(`🩺 Comprobando enlaces${animeId ? ` de ${animeId}` : ''}...\n`);
+
+  try {
+    const summary = await checkAllLinks({
+      animeId,
+      onResult: ({ anime, season, episode, source, probe }) => {
+        const icon = probe.status === 'ok' ? '✅' : '❌';
+        console.log(`  ${icon} ${anime.name} S${season.seasonNumber}E${episode.episodeNumber} (${source.host}) - ${probe.latencyMs} ms${probe.error ? ` - ${probe.error}` : ''}`);
+      }
+    });
+
+    console.log('\n📊 Resultados:');
+    console.log(`   🔗 Fuentes comprobadas: ${summary.total}`);
+    console.log(`   ✅ Funcionan: ${summary.ok}`);
+    console.log(`   🐢 Lentas: ${summary.slow}`);
+    console.log(`   ❌ Caídas: ${summary.down}`);
+
+    const report = await findUnhealthyEpisodes();
+    if (report.length > 0) {
+      console.log('\n🚨 Episodios con problemas:');
+      report.forEach(anime => {
+        console.log(`  ${anime.name}`);
+        anime.episodes.forEach(ep => {
+          console.log(`    ${ep.health === 'dead' ? '❌ Roto' : '🐢 Lento'}: T${ep.seasonNumber} E${ep.episodeNumber}`);
+        });
+      });
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error al comprobar enlaces:', error);
+    process.exit(1);
+  }
+}
+
+// Ejecutar comprobación
+runHealthCheck();
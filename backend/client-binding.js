@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// ========================================
+// VINCULACIÓN DE TOKENS AL CLIENTE
+// El token lleva un hash (cb) de los atributos del cliente que lo pidió y los proxies
+// lo recalculan en cada petición: una URL copiada no sirve desde otra máquina.
+// STREAM_TOKEN_BINDING=off (por defecto) o lista de atributos: ip,ua,session
+// (en redes móviles la IP cambia a menudo: "ua,session" es la opción relajada)
+// ========================================
+const BINDING_ATTRIBUTES = ['ip', 'ua', 'session'];
+const SESSION_COOKIE = 'sid';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function parseBindingMode(value) {
+  const normalized = String(value || 'off').trim().toLowerCase();
+  if (normalized === 'off' || normalized === '') return [];
+
+  const attributes = normalized.split(',').map(attr => attr.trim()).filter(Boolean);
+  const unknown = attributes.filter(attr => !BINDING_ATTRIBUTES.includes(attr));
+  if (unknown.length > 0) {
+    throw new Error(`STREAM_TOKEN_BINDING desconocido: ${unknown.join(', ')} (usa off o ${BINDING_ATTRIBUTES.join(',')})`);
+  }
+  return attributes;
+}
+
+const BINDING = parseBindingMode(process.env.STREAM_TOKEN_BINDING);
+
+// "2001:db8::1" -> ["2001", "db8", "0", "0", "0", "0", "0", "1"]
+function expandIPv6(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = ip.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+}
+
+// Prefijo de red: /24 en IPv4 y /48 en IPv6, así un cambio de IP dentro del mismo proveedor no rompe la reproducción
+function ipPrefix(ip = '') {
+  const v4 = ip.replace(/^::ffff:/i, '');
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(v4)) {
+    return `${v4.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  return `${expandIPv6(ip.split('%')[0]).slice(0, 3).map(group => parseInt(group || '0', 16).toString(16)).join(':')}::/48`;
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // Cookie mal codificada: se ignora
+    }
+  }
+  return cookies;
+}
+
+function sessionIdOf(req) {
+  return req.sessionId || parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Crea la cookie de sesión si el cliente aún no la tiene (solo hace falta si se vincula por sesión)
+function ensureSessionCookie(req, res) {
+  if (!BINDING.includes('session') || sessionIdOf(req)) return;
+
+  req.sessionId = crypto.randomBytes(24).toString('base64url');
+  // SameSite=None: el frontend está en otro dominio y el <video> debe enviar la cookie
+  res.cookie(SESSION_COOKIE, req.sessionId, {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    path: '/api',
+    maxAge: SESSION_MAX_AGE_MS
+  });
+}
+
+// Hash de los atributos configurados; null si la vinculación está desactivada
+function clientBinding(req) {
+  if (BINDING.length === 0) return null;
+
+  const values = {
+    ip: () => ipPrefix(req.ip),
+    ua: () => req.headers['user-agent'] || '',
+    session: () => sessionIdOf(req) || ''
+  };
+
+  return crypto.createHash('sha256')
+    .update(BINDING.map(attr => `${attr}=${values[attr]()}`).join('|'))
+    .digest('base64url');
+}
+
+// true si el token no está vinculado (modo off) o si el cliente actual coincide con el que lo pidió
+function matchesClientBinding(decoded, req) {
+  const expected = clientBinding(req);
+  if (!expected) return true;
+  return decoded.cb === expected && (!BINDING.includes('session') || Boolean(sessionIdOf(req)));
+}
+
+module.exports = { BINDING, ipPrefix, parseCookies, ensureSessionCookie, clientBinding, matchesClientBinding };
@@ -1,6 +1,10 @@
 // ════════════════════════════════════════════════════════════════════════════════════════════════
 // 🎯 INSTRUCCIONES: SOLO EDITA ESTE ARCHIVO Y GUÁRDALO EN GITHUB
 // ✅ El sistema se actualizará automáticamente
+// 📼 Episodios: "Nombre del Anime 1x01.mp4|https://enlace" (HLS: "Nombre del Anime 1x01.m3u8|https://enlace")
+// 💬 Subtítulos: "Nombre del Anime 1x01.es.srt|https://enlace" (idioma + .srt o .vtt)
+// 🪞 Espejos opcionales (en orden de preferencia): "Nombre del Anime 1x01.mp4|https://enlace|https://espejo"
+// 🎧 Doblajes: "Nombre del Anime 1x01.lat.mp4|https://enlace" (sub = subtitulado por defecto, lat = latino, cast = castellano)
 // ════════════════════════════════════════════════════════════════════════════════════════════════
 
 // ========================================
@@ -0,0 +1,57 @@
+const { Anime } = require('./anime-model');
+const { getEpisodeSources } = require('./episode-sources');
+
+// ========================================
+// RESOLUCIÓN DE IDS DE EPISODIO ("animeId_temporada_episodio")
+// Compartido por el emisor de tokens, /api/stream, el proxy de video y los subtítulos.
+// Resuelve { ok: true, anime, season, episode } o { ok: false, status, error } (mensaje para el cliente)
+// ========================================
+const EPISODE_ID_PATTERN = /^(.+)_(\d+)_(\d+)$/;
+
+function parseEpisodeId(episodeId) {
+  const match = typeof episodeId === 'string' && episodeId.match(EPISODE_ID_PATTERN);
+  if (!match) return null;
+
+  return {
+    animeId: match[1],
+    seasonNumber: parseInt(match[2]),
+    episodeNumber: parseInt(match[3])
+  };
+}
+
+function formatEpisodeId(animeId, seasonNumber, episodeNumber) {
+  return `${animeId}_${seasonNumber}_${episodeNumber}`;
+}
+
+// Publicado = tiene al menos una fuente reproducible (data.js puede listar episodios aún sin enlace)
+function isPublished(episode) {
+  return getEpisodeSources(episode).length > 0;
+}
+
+// select/lean permiten pedir solo lo necesario (p. ej. los subtítulos); por defecto el documento completo
+async function resolveEpisode(episodeId, { select, lean = false } = {}) {
+  const parsed = parseEpisodeId(episodeId);
+  if (!parsed) {
+    return { ok: false, status: 400, error: 'ID de episodio inválido' };
+  }
+
+  let query = Anime.findOne({ id: parsed.animeId });
+  if (select) query = query.select(select);
+  if (lean) query = query.lean();
+  const anime = await query;
+
+  if (!anime) {
+    return { ok: false, status: 404, error: 'Anime no encontrado' };
+  }
+
+  const season = (anime.seasons || []).find(s => s.seasonNumber === parsed.seasonNumber);
+  const episode = season?.episodes.find(e => e.episodeNumber === parsed.episodeNumber);
+
+  if (!episode) {
+    return { ok: false, status: 404, error: 'Episodio no encontrado' };
+  }
+
+  return { ok: true, anime, season, episode };
+}
+
+module.exports = { parseEpisodeId, formatEpisodeId, isPublished, resolveEpisode };
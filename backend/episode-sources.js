@@ -0,0 +1,105 @@
+const { Anime } = require('./anime-model');
+const { DEFAULT_VARIANT, variantsOf } = require('./variants');
+
+// ========================================
+// FUENTES (ESPEJOS) DE UN EPISODIO
+// Cada episodio tiene una lista ordenada de fuentes por variante (sub, lat, cast);
+// videoUrl es siempre la primera fuente de la variante principal
+// ========================================
+// Orden de preferencia: primero las que funcionan, luego las no comprobadas y al final las caídas
+const STATUS_RANK = { ok: 0, unknown: 1, down: 2 };
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Construye las fuentes a partir de las columnas "|url|espejo|..." de data.js
+function buildSources(urls, { variant = DEFAULT_VARIANT, format = 'mp4' } = {}) {
+  return urls.map((url, index) => ({
+    variant,
+    format,
+    host: hostOf(url),
+    url,
+    priority: index,
+    status: 'unknown'
+  }));
+}
+
+// Episodios migrados antes de existir sources[] solo tienen videoUrl
+function getEpisodeSources(episode) {
+  if (episode.sources && episode.sources.length > 0) {
+    return episode.sources;
+  }
+  return episode.videoUrl ? buildSources([episode.videoUrl], { format: episode.format || 'mp4' }) : [];
+}
+
+// Variantes disponibles del episodio; la primera es la que se reproduce por defecto
+function getEpisodeVariants(episode) {
+  return variantsOf(getEpisodeSources(episode));
+}
+
+// Fuentes de una variante (por defecto la principal) de la más sana a la menos sana;
+// a igual estado manda la prioridad de data.js
+function rankSources(episode, variant) {
+  const selected = variant || getEpisodeVariants(episode)[0];
+  const sources = getEpisodeSources(episode).filter(src => (src.variant || DEFAULT_VARIANT) === selected);
+
+  return sources.sort((a, b) =>
+    (STATUS_RANK[a.status] ?? STATUS_RANK.unknown) - (STATUS_RANK[b.status] ?? STATUS_RANK.unknown) ||
+    a.priority - b.priority
+  );
+}
+
+// Los episodios migrados antes de sources[] solo tienen videoUrl: sus fuentes se construyen al vuelo
+// y las actualizaciones con $[src] no tendrían array que tocar. La primera vez que se guarda algo
+// de una de esas fuentes se escribe el sources[] sintetizado (solo si el episodio sigue sin él).
+async function storeLegacySources(animeId, seasonNumber, episode) {
+  if (episode.sources && episode.sources.length > 0) return;
+
+  const sources = getEpisodeSources(episode);
+  if (sources.length === 0) return;
+
+  await Anime.updateOne(
+    { id: animeId },
+    { $set: { 'seasons.$[s].episodes.$[e].sources': sources } },
+    {
+      arrayFilters: [
+        { 's.seasonNumber': seasonNumber },
+        { 'e.episodeNumber': episode.episodeNumber, 'e.sources.0': { $exists: false } }
+      ]
+    }
+  );
+  episode.sources = sources;
+}
+
+// Registra el resultado de usar una fuente (proxy o comprobación de enlaces)
+async function markSourceStatus(animeId, seasonNumber, episode, sourceUrl, status, details = {}) {
+  await storeLegacySources(animeId, seasonNumber, episode);
+
+
+  const $set = {
+    'seasons.$[s].episodes.$[e].sources.$[src].status': status,
+    'seasons.$[s].episodes.$[e].sources.$[src].lastCheckedAt': new Date()
+  };
+  for (const [field, value] of Object.entries(details)) {
+    $set[`seasons.$[s].episodes.$[e].sources.$[src].${field}`] = value;
+  }
+
+  return Anime.updateOne(
+    { id: animeId },
+    { $set },
+    {
+      arrayFilters: [
+        { 's.seasonNumber': seasonNumber },
+        { 'e.episodeNumber': episode.episodeNumber },
+        { 'src.url': sourceUrl }
+      ]
+    }
+  );
+}
+
+module.exports = { buildSources, getEpisodeSources, getEpisodeVariants, rankSources, storeLegacySources, markSourceStatus };
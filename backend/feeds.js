@@ -0,0 +1,91 @@
+// ========================================
+// FEEDS RSS 2.0 Y ATOM DE EPISODIOS NUEVOS
+// Los enlaces apuntan al frontend; nunca se expone el videoUrl
+// ========================================
+
+function escapeXml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// "Sakamoto Days T2 E11"
+function episodeTitle(ep) {
+  return `${ep.animeName} T${ep.seasonNumber} E${ep.episodeNumber}`;
+}
+
+// Identificador permanente del episodio (no cambia aunque cambie su URL)
+function episodeGuid(ep) {
+  return `tag:streanime,2025:episode/${ep.episodeId}`;
+}
+
+function episodeSummary(ep) {
+  return `Episodio ${ep.episodeNumber} de la temporada ${ep.seasonNumber} de ${ep.animeName}`;
+}
+
+// feed: { id, title, description, link, selfUrl }
+// episodes: resultado de findLatestEpisodes(); episodeUrl: función ep -> URL del frontend
+function buildRss(feed, episodes, episodeUrl) {
+  const lastBuild = episodes.length > 0 ? new Date(episodes[0].addedAt) : new Date();
+
+  const items = episodes.map(ep => [
+    '    <item>',
+    `      <title>${escapeXml(episodeTitle(ep))}</title>`,
+    `      <link>${escapeXml(episodeUrl(ep))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(episodeGuid(ep))}</guid>`,
+    `      <pubDate>${new Date(ep.addedAt).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(episodeSummary(ep))}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>es</language>',
+    `    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function buildAtom(feed, episodes, episodeUrl) {
+  const updated = episodes.length > 0 ? new Date(episodes[0].addedAt) : new Date();
+
+  const entries = episodes.map(ep => [
+    '  <entry>',
+    `    <id>${escapeXml(episodeGuid(ep))}</id>`,
+    `    <title>${escapeXml(episodeTitle(ep))}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(episodeUrl(ep))}"/>`,
+    `    <published>${new Date(ep.addedAt).toISOString()}</published>`,
+    `    <updated>${new Date(ep.addedAt).toISOString()}</updated>`,
+    `    <summary>${escapeXml(episodeSummary(ep))}</summary>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    '  <author><name>StreAnime</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { buildRss, buildAtom, escapeXml };
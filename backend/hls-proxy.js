@@ -0,0 +1,113 @@
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+
+// ========================================
+// PROXY DE PLAYLISTS HLS (.m3u8)
+// Reescribe cada variante, segmento, clave y mapa para que pasen por el backend
+// ========================================
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.PROXY_UPSTREAM_TIMEOUT_MS || '15000');
+const MAX_PLAYLIST_BYTES = 5 * 1024 * 1024;
+
+// Etiquetas cuyo atributo URI apunta a otra playlist (el resto apunta a medios: claves, init segments...)
+const PLAYLIST_URI_TAGS = ['#EXT-X-MEDIA', '#EXT-X-I-FRAME-STREAM-INF'];
+
+function isHlsUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.m3u8');
+  } catch (e) {
+    return false;
+  }
+}
+
+// ========================================
+// CIFRADO DE URLS DE ORIGEN
+// Los tokens de segmento llevan la URL cifrada (AES-256-GCM): el JWT se puede
+// decodificar en el navegador y la URL real no debe quedar a la vista
+// ========================================
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(`hls:${secret}`).digest();
+}
+
+function sealUrl(url, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const encrypted = Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+// Lanza si el valor fue manipulado o se cifró con otro secreto
+function openUrl(sealed, secret) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), data.subarray(0, 12));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+// ========================================
+// REESCRITURA DE PLAYLISTS
+// toProxyUrl(urlAbsoluta, esPlaylist) -> URL del backend con su token
+// ========================================
+function rewritePlaylist(body, baseUrl, toProxyUrl) {
+  const isMaster = /^#EXT-X-STREAM-INF/m.test(body);
+  let nextIsPlaylist = false;
+
+  return body.split(/\r?\n/).map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+
+    if (trimmed.startsWith('#')) {
+      // La línea siguiente a #EXT-X-STREAM-INF es la URI de una variante
+      nextIsPlaylist = trimmed.startsWith('#EXT-X-STREAM-INF');
+      const uriIsPlaylist = PLAYLIST_URI_TAGS.some(tag => trimmed.startsWith(tag));
+      return line.replace(/URI="([^"]+)"/g, (match, uri) =>
+        `URI="${toProxyUrl(new URL(uri, baseUrl).toString(), uriIsPlaylist)}"`
+      );
+    }
+
+    const isPlaylist = (isMaster && nextIsPlaylist) || isHlsUrl(new URL(trimmed, baseUrl).toString());
+    nextIsPlaylist = false;
+    return toProxyUrl(new URL(trimmed, baseUrl).toString(), isPlaylist);
+  }).join('\n');
+}
+
+// Descarga la playlist `url`, la reescribe y la envía.
+// Resuelve igual que proxyVideo: { ok: true } o { ok: false, status?, error? } sin haber escrito en `res`
+async function proxyPlaylist(req, res, url, toProxyUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+
+  let upstream;
+  let body;
+  try {
+    upstream = await fetch(url, {
+      headers: { 'user-agent': req.headers['user-agent'] || 'Mozilla/5.0' },
+      redirect: 'follow',
+      size: MAX_PLAYLIST_BYTES,
+      signal: controller.signal
+    });
+    if (!upstream.ok) {
+      return { ok: false, status: upstream.status };
+    }
+    body = await upstream.text();
+  } catch (error) {
+    return { ok: false, error: error.name === 'AbortError' ? new Error('Timeout del origen') : error };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!body.trimStart().startsWith('#EXTM3U')) {
+    return { ok: false, error: new Error('El origen no devolvió una playlist HLS') };
+  }
+
+  // Las URIs relativas se resuelven contra la URL final (tras redirecciones)
+  const rewritten = rewritePlaylist(body, upstream.url || url, toProxyUrl);
+
+  res.set('Content-Type', 'application/vnd.apple.mpegurl');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'private, no-cache');
+  res.send(rewritten);
+
+  return { ok: true };
+}
+
+module.exports = { isHlsUrl, sealUrl, openUrl, rewritePlaylist, proxyPlaylist };
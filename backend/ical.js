@@ -0,0 +1,108 @@
+const { findWeekday } = require('./weekdays');
+
+// ========================================
+// GENERADOR DE CALENDARIOS iCalendar (RFC 5545)
+// ========================================
+const PRODID = '-//StreAnime//Calendario de emision//ES';
+
+// Escapar texto según RFC 5545 §3.3.11
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Plegar líneas a 75 octetos sin cortar caracteres UTF-8 (RFC 5545 §3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // las continuaciones empiezan con un espacio
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Primera fecha del año del anime que cae en su día de emisión.
+// Es fija mientras no cambien year/day, así los clientes no duplican eventos.
+function firstAiringDate(year, weekday) {
+  const date = new Date(Date.UTC(year, 0, 1));
+  const target = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].indexOf(weekday.ical);
+  while (date.getUTCDay() !== target) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Devuelve las líneas del VEVENT semanal o null si el anime no tiene día válido
+function buildAnimeEvent(anime, { url, dtstamp }) {
+  const weekday = findWeekday(anime.day);
+  if (!anime.isAiring || !weekday) return null;
+
+  const year = anime.year || new Date().getUTCFullYear();
+  const start = firstAiringDate(year, weekday);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${anime.id}@streanime`,
+    `DTSTAMP:${formatDateTime(dtstamp)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `RRULE:FREQ=WEEKLY;BYDAY=${weekday.ical}`,
+    `SUMMARY:${escapeText(`Nuevo episodio: ${anime.name}`)}`,
+    `DESCRIPTION:${escapeText(anime.synopsis)}`,
+    'TRANSP:TRANSPARENT'
+  ];
+
+  if (url) lines.push(`URL:${url}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+// animes: documentos con id, name, year, day, isAiring, synopsis
+// animeUrl: función que devuelve la URL del frontend para cada anime
+function buildScheduleCalendar(animes, { name, animeUrl }) {
+  const dtstamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const anime of animes) {
+    const event = buildAnimeEvent(anime, { url: animeUrl(anime), dtstamp });
+    if (event) lines.push(...event);
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildScheduleCalendar, escapeText, foldLine };
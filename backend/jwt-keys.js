@@ -0,0 +1,100 @@
+const jwt = require('jsonwebtoken');
+
+// ========================================
+// LLAVERO DE CLAVES JWT (ROTACIÓN SIN CORTES)
+// JWT_KEYS='[{"kid":"2025-11","secret":"...","createdAt":"2025-11-01T00:00:00Z"}, ...]'
+// - Firma siempre la clave más nueva cuyo createdAt ya llegó (se puede desplegar una clave por adelantado)
+// - Cada token lleva el kid en la cabecera y se verifica con esa clave
+// - Una clave reemplazada sigue verificando durante JWT_KEY_GRACE_SECONDS y después se retira
+// JWT_SECRET (si existe) entra como la clave más antigua con kid "default"
+// ========================================
+const MIN_SECRET_LENGTH = 32;
+const LEGACY_KID = 'default';
+const GRACE_SECONDS = parseInt(process.env.JWT_KEY_GRACE_SECONDS || '86400');
+
+function loadKeys() {
+  const keys = [];
+
+  if (process.env.JWT_SECRET) {
+    keys.push({ kid: LEGACY_KID, secret: process.env.JWT_SECRET, createdAt: new Date(0) });
+  }
+
+  if (process.env.JWT_KEYS) {
+    let configured;
+    try {
+      configured = JSON.parse(process.env.JWT_KEYS);
+    } catch (error) {
+      throw new Error(`JWT_KEYS no es JSON válido: ${error.message}`);
+    }
+
+    for (const key of Array.isArray(configured) ? configured : []) {
+      keys.push({ kid: String(key.kid || ''), secret: key.secret, createdAt: new Date(key.createdAt || 0) });
+    }
+  }
+
+  for (const key of keys) {
+    if (!key.kid) throw new Error('Todas las claves de JWT_KEYS necesitan kid');
+    if (!key.secret || key.secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`La clave "${key.kid}" es demasiado corta (mínimo ${MIN_SECRET_LENGTH} caracteres)`);
+    }
+    if (isNaN(key.createdAt)) throw new Error(`createdAt inválido en la clave "${key.kid}"`);
+    if (keys.filter(other => other.kid === key.kid).length > 1) throw new Error(`kid repetido: "${key.kid}"`);
+  }
+
+  // De la más nueva a la más antigua
+  return keys.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Un error de configuración no tumba el servidor: las rutas de tokens responden 500 hasta corregirlo
+let KEYS = [];
+try {
+  KEYS = loadKeys();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+}
+
+// Clave con la que se firma ahora: la más nueva que ya entró en vigor
+function signingKey(now = new Date()) {
+  return KEYS.find(key => key.createdAt <= now) || null;
+}
+
+// Una clave verifica desde que entra en vigor hasta GRACE_SECONDS después de que la reemplace otra
+function isActive(key, now = new Date()) {
+  if (key.createdAt > now) return false;
+
+  const replacement = KEYS
+    .filter(other => other.createdAt > key.createdAt && other.createdAt <= now)
+    .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+  return !replacement || now - replacement.createdAt <= GRACE_SECONDS * 1000;
+}
+
+function activeKeys(now = new Date()) {
+  return KEYS.filter(key => isActive(key, now));
+}
+
+// `key` permite firmar con la misma clave usada para cifrar datos del payload (ver hlsProxyUrl)
+function signToken(payload, options = {}, key = signingKey()) {
+  if (!key) throw new Error('No hay ninguna clave JWT configurada (JWT_SECRET o JWT_KEYS)');
+
+  return jwt.sign(payload, key.secret, { ...options, keyid: key.kid });
+}
+
+// Secreto de la clave que firmó `token` (por el kid de la cabecera); lanza si no existe o ya se retiró.
+// Los tokens sin kid son anteriores al llavero y se firmaron con JWT_SECRET
+function tokenSecret(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new Error('Token mal formado');
+
+  const kid = decoded.header.kid || LEGACY_KID;
+  const key = KEYS.find(candidate => candidate.kid === kid);
+  if (!key || !isActive(key)) throw new Error(`Clave JWT desconocida o retirada: ${kid}`);
+
+  return key.secret;
+}
+
+function verifyToken(token) {
+  return jwt.verify(token, tokenSecret(token));
+}
+
+module.exports = { signingKey, activeKeys, signToken, verifyToken, tokenSecret };
@@ -0,0 +1,138 @@
+const { Anime } = require('./anime-model');
+const { resolveShortLink } = require('./link-resolver');
+const { getEpisodeSources, markSourceStatus } = require('./episode-sources');
+
+// ========================================
+// COMPROBADOR DE SALUD DE ENLACES
+// Se usa desde check-links.js (CLI / GitHub Actions) y desde /api/admin/health
+// ========================================
+const DEFAULT_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY || '5');
+const SLOW_THRESHOLD_MS = parseInt(process.env.LINK_SLOW_MS || '3000');
+
+// Ejecuta `worker` sobre cada elemento con como máximo `concurrency` tareas a la vez
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Sonda de un enlace: sigue las redirecciones pidiendo un solo byte (Range 0-0)
+// La latencia es el tiempo total hasta obtener la primera respuesta del medio
+async function probeSource(url) {
+  const startedAt = Date.now();
+  try {
+    const resolved = await resolveShortLink(url);
+    return { status: 'ok', latencyMs: Date.now() - startedAt, resolved };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// Comprueba todas las fuentes de todos los episodios (o solo de un anime con animeId)
+async function checkAllLinks({ animeId, concurrency = DEFAULT_CONCURRENCY, onResult } = {}) {
+  const animes = await Anime.find(animeId ? { id: animeId } : {})
+    .select('id name seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.videoUrl seasons.episodes.format seasons.episodes.sources.url seasons.episodes.sources.host')
+    .lean();
+
+  const jobs = [];
+  for (const anime of animes) {
+    for (const season of anime.seasons || []) {
+      for (const episode of season.episodes) {
+        for (const source of getEpisodeSources(episode)) {
+          jobs.push({ anime, season, episode, source });
+        }
+      }
+    }
+  }
+
+  const summary = { total: jobs.length, ok: 0, down: 0, slow: 0, startedAt: new Date(), finishedAt: null };
+
+  await runWithConcurrency(jobs, concurrency, async (job) => {
+    const probe = await probeSource(job.source.url);
+
+    const details = { latencyMs: probe.latencyMs, lastError: probe.error || null };
+    if (probe.resolved) {
+      details.resolvedUrl = probe.resolved.url;
+      details.resolvedAt = new Date();
+      details.resolvedExpiresAt = probe.resolved.expiresAt;
+    }
+
+    try {
+      await markSourceStatus(job.anime.id, job.season.seasonNumber, job.episode, job.source.url, probe.status, details);
+    } catch (error) {
+      console.warn(`⚠️  No se pudo guardar el estado de ${job.source.url}: ${error.message}`);
+    }
+
+    summary[probe.status]++;
+    if (probe.status === 'ok' && probe.latencyMs > SLOW_THRESHOLD_MS) summary.slow++;
+    if (onResult) onResult({ ...job, probe });
+  });
+
+  summary.finishedAt = new Date();
+  return summary;
+}
+
+// ========================================
+// REPORTE DE EPISODIOS ROTOS O LENTOS (agrupados por anime)
+// dead: ninguna fuente responde · slow: la mejor fuente supera slowMs
+// ========================================
+async function findUnhealthyEpisodes({ slowMs = SLOW_THRESHOLD_MS } = {}) {
+  const animes = await Anime.find({})
+    .select('id name seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.videoUrl seasons.episodes.sources')
+    .sort({ name: 1 })
+    .lean();
+
+  const report = [];
+
+  for (const anime of animes) {
+    const episodes = [];
+
+    for (const season of anime.seasons || []) {
+      for (const episode of season.episodes) {
+        const sources = getEpisodeSources(episode);
+        const checked = sources.filter(src => src.lastCheckedAt);
+        if (checked.length === 0) continue;
+
+        const working = sources.filter(src => src.status === 'ok');
+        const bestLatency = Math.min(...working.map(src => src.latencyMs || 0));
+
+        let health = null;
+        if (working.length === 0 && sources.every(src => src.status === 'down')) {
+          health = 'dead';
+        } else if (working.length > 0 && bestLatency > slowMs) {
+          health = 'slow';
+        }
+        if (!health) continue;
+
+        episodes.push({
+          episodeId: `${anime.id}_${season.seasonNumber}_${episode.episodeNumber}`,
+          seasonNumber: season.seasonNumber,
+          episodeNumber: episode.episodeNumber,
+          health,
+          sources: sources.map(src => ({
+            variant: src.variant || 'sub',
+            host: src.host,
+            priority: src.priority,
+            status: src.status,
+            latencyMs: src.latencyMs,
+            lastCheckedAt: src.lastCheckedAt,
+            lastError: src.lastError
+          }))
+        });
+      }
+    }
+
+    if (episodes.length > 0) {
+      report.push({ id: anime.id, name: anime.name, episodes });
+    }
+  }
+
+  return report;
+}
+
+module.exports = { checkAllLinks, findUnhealthyEpisodes, SLOW_THRESHOLD_MS };
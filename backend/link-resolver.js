@@ -0,0 +1,131 @@
+const fetch = require('node-fetch');
+const { Anime } = require('./anime-model');
+const { storeLegacySources } = require('./episode-sources');
+
+// ========================================
+// RESOLUCIÓN DE ENLACES CORTOS (short.icu y similares)
+// Sigue la cadena de redirecciones una vez y guarda la URL final en el episodio
+// ========================================
+const MAX_REDIRECTS = 10;
+const RESOLVE_TIMEOUT_MS = parseInt(process.env.RESOLVE_TIMEOUT_MS || '10000');
+const RESOLVE_TTL_SECONDS = parseInt(process.env.RESOLVE_TTL_SECONDS || '21600'); // 6 horas
+const EXPIRY_MARGIN_SECONDS = 60;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Resoluciones en curso: varias peticiones de rango del mismo episodio comparten una sola
+const inFlight = new Map();
+
+// Muchos CDNs firman sus URLs con la expiración en la query (?expires=1735689600)
+function expiryFromUrl(url) {
+  const params = new URL(url).searchParams;
+  for (const name of ['expires', 'Expires', 'exp', 'e']) {
+    const value = parseInt(params.get(name));
+    if (value > 1000000000) {
+      return new Date((value - EXPIRY_MARGIN_SECONDS) * 1000);
+    }
+  }
+  return null;
+}
+
+// Devuelve { url, expiresAt } con la URL final del medio
+async function resolveShortLink(url) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RESOLVE_TIMEOUT_MS);
+
+    let response;
+    try {
+      // GET de un solo byte: algunos hosts no aceptan HEAD
+      response = await fetch(current, {
+        method: 'GET',
+        redirect: 'manual',
+        headers: { Range: 'bytes=0-0' },
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+    controller.abort(); // no necesitamos el cuerpo
+
+    const location = response.headers.get('location');
+    if (REDIRECT_STATUSES.includes(response.status) && location) {
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`El origen respondió ${response.status}`);
+    }
+
+    const ttlExpiry = new Date(Date.now() + RESOLVE_TTL_SECONDS * 1000);
+    const urlExpiry = expiryFromUrl(current);
+
+    return {
+      url: current,
+      expiresAt: urlExpiry && urlExpiry < ttlExpiry ? urlExpiry : ttlExpiry
+    };
+  }
+
+  throw new Error(`Más de ${MAX_REDIRECTS} redirecciones`);
+}
+
+// La resolución se guarda en la fuente (sources[]) cuyo url coincide
+function saveResolution(animeId, seasonNumber, episodeNumber, sourceUrl, resolved) {
+  return Anime.updateOne(
+    { id: animeId },
+    {
+      $set: {
+        'seasons.$[s].episodes.$[e].sources.$[src].resolvedUrl': resolved.url,
+        'seasons.$[s].episodes.$[e].sources.$[src].resolvedAt': new Date(),
+        'seasons.$[s].episodes.$[e].sources.$[src].resolvedExpiresAt': resolved.expiresAt
+      }
+    },
+    {
+      arrayFilters: [
+        { 's.seasonNumber': seasonNumber },
+        { 'e.episodeNumber': episodeNumber },
+        { 'src.url': sourceUrl }
+      ]
+    }
+  );
+}
+
+function isFresh(source) {
+  return Boolean(source.resolvedUrl && source.resolvedExpiresAt && new Date(source.resolvedExpiresAt) > new Date());
+}
+
+// URL reproducible de una fuente: la resuelta si sigue vigente, si no se resuelve de nuevo.
+// force=true ignora la caché (p. ej. cuando la URL resuelta dejó de funcionar antes de expirar).
+// Si la resolución falla se devuelve el enlace original para no cortar la reproducción.
+async function getPlayableUrl(anime, season, episode, source, { force = false } = {}) {
+  if (!force && isFresh(source)) {
+    return source.resolvedUrl;
+  }
+
+  const key = `${anime.id}_${season.seasonNumber}_${episode.episodeNumber} (${source.url})`;
+
+  if (!inFlight.has(key)) {
+    const resolution = resolveShortLink(source.url)
+      .then((resolved) => {
+        console.log(`🔗 Enlace resuelto: ${key} (vence ${resolved.expiresAt.toISOString()})`);
+        storeLegacySources(anime.id, season.seasonNumber, episode)
+          .then(() => saveResolution(anime.id, season.seasonNumber, episode.episodeNumber, source.url, resolved))
+          .catch(error => console.warn(`⚠️  No se pudo guardar la resolución de ${key}: ${error.message}`));
+        return resolved.url;
+      })
+      .catch((error) => {
+        console.warn(`⚠️  No se pudo resolver ${key}: ${error.message}`);
+        return source.url;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, resolution);
+  }
+
+  return inFlight.get(key);
+}
+
+module.exports = { resolveShortLink, getPlayableUrl, isFresh };
@@ -0,0 +1,149 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Anime } = require('./anime-model');
+const { resolveShortLink, getPlayableUrl } = require('./link-resolver');
+
+// ========================================
+// ACORTADOR DE PRUEBA EN LOCAL
+// /s/<n>  -> 302 a /s/<n-1> ... /s/0 -> 302 a /media.mp4
+// /media.mp4?expires=... -> 206 (un byte, como pide el resolver)
+// ========================================
+let server;
+let base;
+let hits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const url = new URL(req.url, base);
+
+    const hop = url.pathname.match(/^\/s\/(\d+)$/);
+    if (hop) {
+      const next = parseInt(hop[1]) === 0 ? `/media.mp4${url.search}` : `/s/${parseInt(hop[1]) - 1}${url.search}`;
+      res.writeHead(parseInt(hop[1]) % 2 ? 301 : 302, { Location: next });
+      return res.end();
+    }
+
+    if (url.pathname === '/loop') {
+      res.writeHead(302, { Location: '/loop' });
+      return res.end();
+    }
+
+    if (url.pathname === '/media.mp4') {
+      res.writeHead(206, { 'Content-Type': 'video/mp4', 'Content-Range': 'bytes 0-0/1000' });
+      return res.end('x');
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Los logs del resolver (con emojis) pueden corromper el canal del runner de node --test en Node 20
+console.log = () => {};
+console.warn = () => {};
+
+// Sin MongoDB: las escrituras de la resolución se registran en vez de guardarse
+let updates = [];
+Anime.updateOne = async (filter, update) => {
+  updates.push(update);
+  return { acknowledged: true };
+};
+
+beforeEach(() => {
+  hits = [];
+  updates = [];
+});
+
+function episodeWith(source) {
+  return {
+    anime: { id: 'foo' },
+    season: { seasonNumber: 1 },
+    episode: { episodeNumber: 1, sources: [source] },
+    source
+  };
+}
+
+test('resolveShortLink sigue la cadena de redirecciones hasta el medio', async () => {
+  const resolved = await resolveShortLink(`${base}/s/3`);
+
+  assert.strictEqual(resolved.url, `${base}/media.mp4`);
+  assert.deepStrictEqual(hits, ['/s/3', '/s/2', '/s/1', '/s/0', '/media.mp4']);
+});
+
+test('resolveShortLink vence con el TTL si la URL no trae expiración', async () => {
+  const { expiresAt } = await resolveShortLink(`${base}/s/0`);
+  const ttl = 21600 * 1000;
+
+  assert.ok(Math.abs(expiresAt - (Date.now() + ttl)) < 5000);
+});
+
+test('resolveShortLink usa ?expires= de la URL final (con margen) si vence antes que el TTL', async () => {
+  const expires = Math.floor(Date.now() / 1000) + 600;
+  const { url, expiresAt } = await resolveShortLink(`${base}/s/1?expires=${expires}`);
+
+  assert.strictEqual(url, `${base}/media.mp4?expires=${expires}`);
+  assert.strictEqual(expiresAt.getTime(), (expires - 60) * 1000);
+});
+
+test('resolveShortLink ignora un ?expires= posterior al TTL', async () => {
+  const expires = Math.floor(Date.now() / 1000) + 7 * 24 * 3600;
+  const { expiresAt } = await resolveShortLink(`${base}/s/0?expires=${expires}`);
+
+  assert.ok(expiresAt.getTime() < (expires - 60) * 1000);
+});
+
+test('resolveShortLink falla con demasiadas redirecciones o un error del origen', async () => {
+  await assert.rejects(resolveShortLink(`${base}/loop`), /redirecciones/);
+  await assert.rejects(resolveShortLink(`${base}/no-existe`), /404/);
+});
+
+test('getPlayableUrl devuelve la URL en caché sin pedir nada mientras sigue vigente', async () => {
+  const { anime, season, episode, source } = episodeWith({
+    url: `${base}/s/0`,
+    resolvedUrl: `${base}/media.mp4?cached=1`,
+    resolvedExpiresAt: new Date(Date.now() + 60000)
+  });
+
+  assert.strictEqual(await getPlayableUrl(anime, season, episode, source), `${base}/media.mp4?cached=1`);
+  assert.deepStrictEqual(hits, []);
+});
+
+test('getPlayableUrl resuelve de nuevo y guarda la resolución cuando la caché venció', async () => {
+  const { anime, season, episode, source } = episodeWith({
+    url: `${base}/s/1`,
+    resolvedUrl: `${base}/media.mp4?old=1`,
+    resolvedExpiresAt: new Date(Date.now() - 1000)
+  });
+
+  assert.strictEqual(await getPlayableUrl(anime, season, episode, source), `${base}/media.mp4`);
+  assert.deepStrictEqual(hits, ['/s/1', '/s/0', '/media.mp4']);
+
+  // El guardado no bloquea la respuesta
+  await new Promise(resolve => setImmediate(resolve));
+  const saved = updates.find(update => update.$set?.['seasons.$[s].episodes.$[e].sources.$[src].resolvedUrl']);
+  assert.strictEqual(saved.$set['seasons.$[s].episodes.$[e].sources.$[src].resolvedUrl'], `${base}/media.mp4`);
+});
+
+test('getPlayableUrl con force ignora la caché vigente', async () => {
+  const { anime, season, episode, source } = episodeWith({
+    url: `${base}/s/0`,
+    resolvedUrl: `${base}/media.mp4?cached=1`,
+    resolvedExpiresAt: new Date(Date.now() + 60000)
+  });
+
+  assert.strictEqual(await getPlayableUrl(anime, season, episode, source, { force: true }), `${base}/media.mp4`);
+});
+
+test('getPlayableUrl devuelve el enlace original si no se puede resolver', async () => {
+  const { anime, season, episode, source } = episodeWith({ url: `${base}/no-existe` });
+
+  assert.strictEqual(await getPlayableUrl(anime, season, episode, source), `${base}/no-existe`);
+  assert.deepStrictEqual(updates, []);
+});
@@ -0,0 +1,84 @@
+// ========================================
+// TRADUCIR METADATOS AL ESPAÑOL
+// ========================================
+function translateMetadata(text, type) {
+  if (!text) return text;
+
+  if (type === 'status') {
+    const translations = {
+      'Currently Airing': '📺 Actualmente en emisión',
+      'Finished Airing': '✅ Finalizado',
+      'Not yet aired': '🔜 Próximamente',
+      'Cancelled': '❌ Cancelado',
+      'Hiatus': '⏸️ En pausa'
+    };
+    return translations[text] || text;
+  }
+
+  if (type === 'genre') {
+    const translations = {
+      'Action': 'Acción',
+      'Adventure': 'Aventura',
+      'Comedy': 'Comedia',
+      'Drama': 'Drama',
+      'Ecchi': 'Ecchi',
+      'Fantasy': 'Fantasía',
+      'Horror': 'Terror',
+      'Mahou Shoujo': 'Magia',
+      'Mecha': 'Mecha',
+      'Music': 'Música',
+      'Mystery': 'Misterio',
+      'Psychological': 'Psicológico',
+      'Romance': 'Romance',
+      'Sci-Fi': 'Ciencia Ficción',
+      'Slice of Life': 'Vida Cotidiana',
+      'Sports': 'Deportes',
+      'Supernatural': 'Sobrenatural',
+      'Thriller': 'Thriller',
+      'Hentai': 'Hentai',
+      'Isekai': 'Isekai',
+      'Seinen': 'Seinen',
+      'Shoujo': 'Shoujo',
+      'Shounen': 'Shounen',
+      'Josei': 'Josei',
+      'Anime': 'Anime'
+    };
+    return translations[text] || text;
+  }
+
+  if (type === 'rating') {
+    const translations = {
+      'G - All Ages': 'G - Para todas las edades',
+      'PG - Children': 'PG - Para niños',
+      'PG-13 - Teens 13 or older': 'PG-13 - Mayores de 13 años',
+      'R - 17+ (violence & profanity)': 'R - Mayores de 17 años',
+      'R+ - Mild Nudity': 'R+ - Nudidad leve',
+      'Rx - Hentai': 'Rx - Hentai'
+    };
+    return translations[text] || text;
+  }
+
+  return text;
+}
+
+// ========================================
+// TIPO DE CONTENIDO SEGÚN JIKAN ("TV", "Movie", "OVA"...)
+// ========================================
+const JIKAN_KINDS = {
+  'TV': 'tv',
+  'TV Special': 'special',
+  'Special': 'special',
+  'Movie': 'movie',
+  'OVA': 'ova',
+  'ONA': 'ona',
+  'Music': 'music'
+};
+
+const ANIME_KINDS = ['tv', 'movie', 'ova', 'ona', 'special', 'music'];
+
+// Tipos desconocidos o sin datos de Jikan se tratan como serie de TV
+function mapJikanType(type) {
+  return JIKAN_KINDS[type] || 'tv';
+}
+
+module.exports = { translateMetadata, mapJikanType, ANIME_KINDS };
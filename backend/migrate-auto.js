@@ -2,6 +2,12 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const fetch = require('node-fetch');
 const { airingAnimeData, finishedAnimeData } = require('./data.js');
+const { Anime } = require('./anime-model');
+const { translateMetadata, mapJikanType } = require('./metadata');
+const { buildSources, rankSources } = require('./episode-sources');
+const { VARIANTS, DEFAULT_VARIANT } = require('./variants');
+const { isHlsUrl } = require('./hls-proxy');
+const { languageLabel } = require('./subtitles');
 
 // ========================================
 // CONEXIÓN A MONGODB
@@ -15,34 +21,6 @@ mongoose.connect(process.env.MONGODB_URI, {
   console.error('❌ Error de conexión:', err);
 });
 
-const animeSchema = new mongoose.Schema({
-  id: { type: String, unique: true, required: true },
-  name: String,
-  year: Number,
-  day: String,
-  isAiring: Boolean,
-  malId: Number,
-  image: String,
-  thumbnail: String,
-  synopsis: String,
-  genres: [String],
-  status: String,
-  episodes: Number,
-  score: Number,
-  rating: String,
-  seasons: [{
-    seasonNumber: Number,
-    episodes: [{
-      episodeNumber: Number,
-      name: String,
-      videoUrl: String,
-      fileName: String
-    }]
-  }]
-});
-
-const Anime = mongoose.model('Anime', animeSchema);
-
 // ========================================
 // TRADUCIR TEXTO USANDO GOOGLE TRANSLATE WEB API (FUNCIONA EN GITHUB ACTIONS)
 // ========================================
@@ -122,6 +100,7 @@ async function searchAnimeInJikan(animeName) {
       synopsis: synopsis, // Sinopsis traducida a español
       genres: animeData.genres.map(g => g.name),
       status: animeData.status,
+      kind: mapJikanType(animeData.type),
       episodes: animeData.episodes || 0,
       score: animeData.score || 0,
       rating: animeData.rating || 'N/A'
@@ -136,6 +115,9 @@ async function searchAnimeInJikan(animeName) {
 // ========================================
 // PROCESAR DATOS AUTOMÁTICAMENTE
 // ========================================
+// "Nombre 1x01[.variante][.mp4|.m3u8]|url|espejo..."
+const EPISODE_LINE = new RegExp(`^(.*?)\\s+(\\d+)x(\\d+)(?:\\.(${Object.keys(VARIANTS).join('|')}))?(?:\\.(mp4|m3u8))?\\|(.+)$`);
+
 function processAnimeData(data, isAiring = false) {
   const lines = data.trim().split('\n');
   const animeMap = {};
@@ -172,17 +154,47 @@ function processAnimeData(data, isAiring = false) {
         year: year,
         day: day,
         isAiring: isAiring,
-        seasons: {}
+        seasons: {},
+        subtitleTracks: {} // "1x01" -> pistas, se asignan a los episodios al final
       };
       animeMap[id] = currentAnime;
     } else if (currentAnime && line.includes('|')) {
-      // Es una línea de episodio
-      const episodeMatch = line.match(/^(.*?)\s+(\d+)x(\d+)(?:\.mp4)?\|(.+)$/);
+      // Es una línea de subtítulos: "Nombre 1x01.es.srt|url"
+      const subtitleMatch = line.match(/^(.*?)\s+(\d+)x(\d+)\.([a-z]{2,3}(?:-[a-z0-9]{2,4})?)\.(vtt|srt)\|(.+)$/i);
+
+      if (subtitleMatch) {
+        const key = `${parseInt(subtitleMatch[2])}x${parseInt(subtitleMatch[3])}`;
+        const lang = subtitleMatch[4].toLowerCase();
+        const tracks = (currentAnime.subtitleTracks[key] || []).filter(track => track.lang !== lang);
+
+        tracks.push({
+          lang,
+          label: languageLabel(lang),
+          url: subtitleMatch[6].split('|')[0].trim(),
+          format: subtitleMatch[5].toLowerCase()
+        });
+        currentAnime.subtitleTracks[key] = tracks;
+        continue;
+      }
+
+      // Es una línea de episodio: "Nombre 1x01.mp4|url" o con variante "Nombre 1x01.lat.mp4|url"
+      const episodeMatch = line.match(EPISODE_LINE);
       
       if (episodeMatch) {
         const seasonNum = parseInt(episodeMatch[2]);
         const episodeNum = parseInt(episodeMatch[3]);
-        const url = episodeMatch[4].trim();
+        const variant = episodeMatch[4] || DEFAULT_VARIANT;
+        // "|url|espejo1|espejo2": la primera columna es la fuente principal
+        const urls = episodeMatch[6].split('|').map(u => u.trim()).filter(Boolean);
+        
+        // "1x01.mp4||" (columnas vacías): sin fuente no hay episodio que publicar
+        if (urls.length === 0) {
+          console.log(`  ⚠️  Episodio sin URL, se omite: ${line}`);
+          continue;
+        }
+        
+        // ".m3u8" en el nombre o en la URL = episodio HLS
+        const format = episodeMatch[5] === 'm3u8' || isHlsUrl(urls[0]) ? 'hls' : 'mp4';
 
         // Crear temporada si no existe
         if (!currentAnime.seasons[seasonNum]) {
@@ -192,13 +204,26 @@ function processAnimeData(data, isAiring = false) {
           };
         }
 
-        // Agregar episodio con URL original
-        currentAnime.seasons[seasonNum].episodes.push({
-          episodeNumber: episodeNum,
-          name: `Episodio ${episodeNum}`,
-          videoUrl: url,
-          fileName: `${seasonNum}x${episodeNum.toString().padStart(2, '0')}.mp4`
-        });
+        // Cada variante (sub, lat, cast) es otra línea del mismo episodio: se juntan sus fuentes
+        const episodes = currentAnime.seasons[seasonNum].episodes;
+        let episode = episodes.find(ep => ep.episodeNumber === episodeNum);
+        if (!episode) {
+          episode = {
+            episodeNumber: episodeNum,
+            name: `Episodio ${episodeNum}`,
+            sources: []
+          };
+          episodes.push(episode);
+        }
+
+        // Una línea por episodio y variante (los espejos van en la misma: |url|espejo).
+        // Repetida suele ser una errata en el número: se avisa y se conserva la primera
+        if (episode.sources.some(src => src.variant === variant)) {
+          console.log(`  ⚠️  Episodio repetido (${variant}), se omite: ${line}`);
+          continue;
+        }
+        
+        episode.sources.push(...buildSources(urls, { variant, format }));
       }
     }
   }
@@ -211,74 +236,60 @@ function processAnimeData(data, isAiring = false) {
     seasonsArray.sort((a, b) => a.seasonNumber - b.seasonNumber);
     seasonsArray.forEach(season => {
       season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+      season.episodes.forEach(ep => {
+        // videoUrl, formato y nombre de archivo salen de la variante principal
+        const [main] = rankSources(ep);
+        ep.videoUrl = main.url;
+        ep.format = main.format;
+        ep.fileName = `${season.seasonNumber}x${ep.episodeNumber.toString().padStart(2, '0')}.${main.format === 'hls' ? 'm3u8' : 'mp4'}`;
+        ep.subtitles = anime.subtitleTracks[`${season.seasonNumber}x${ep.episodeNumber}`] || [];
+      });
     });
     anime.seasons = seasonsArray;
+    delete anime.subtitleTracks;
   });
 
   return animeArray;
 }
 
 // ========================================
-// TRADUCIR METADATOS AL ESPAÑOL
+// CONSERVAR ESTADO DE LOS EPISODIOS ENTRE MIGRACIONES
+// seasons se reescribe completo en cada migración: addedAt y el estado de cada
+// fuente (salud y resolución del enlace corto) se copian del documento anterior
 // ========================================
-function translateMetadata(text, type) {
-  if (!text) return text;
-
-  if (type === 'status') {
-    const translations = {
-      'Currently Airing': '📺 Actualmente en emisión',
-      'Finished Airing': '✅ Finalizado',
-      'Not yet aired': '🔜 Próximamente',
-      'Cancelled': '❌ Cancelado',
-      'Hiatus': '⏸️ En pausa'
-    };
-    return translations[text] || text;
-  }
+const CARRIED_SOURCE_FIELDS = ['status', 'lastCheckedAt', 'latencyMs', 'lastError', 'resolvedUrl', 'resolvedAt', 'resolvedExpiresAt'];
 
-  if (type === 'genre') {
-    const translations = {
-      'Action': 'Acción',
-      'Adventure': 'Aventura',
-      'Comedy': 'Comedia',
-      'Drama': 'Drama',
-      'Ecchi': 'Ecchi',
-      'Fantasy': 'Fantasía',
-      'Horror': 'Terror',
-      'Mahou Shoujo': 'Magia',
-      'Mecha': 'Mecha',
-      'Music': 'Música',
-      'Mystery': 'Misterio',
-      'Psychological': 'Psicológico',
-      'Romance': 'Romance',
-      'Sci-Fi': 'Ciencia Ficción',
-      'Slice of Life': 'Vida Cotidiana',
-      'Sports': 'Deportes',
-      'Supernatural': 'Sobrenatural',
-      'Thriller': 'Thriller',
-      'Hentai': 'Hentai',
-      'Isekai': 'Isekai',
-      'Seinen': 'Seinen',
-      'Shoujo': 'Shoujo',
-      'Shounen': 'Shounen',
-      'Josei': 'Josei',
-      'Anime': 'Anime'
-    };
-    return translations[text] || text;
-  }
+function carryOverEpisodeState(anime, existing, now) {
+  const previousEpisodes = new Map();
+  let animeCreatedAt = null;
 
-  if (type === 'rating') {
-    const translations = {
-      'G - All Ages': 'G - Para todas las edades',
-      'PG - Children': 'PG - Para niños',
-      'PG-13 - Teens 13 or older': 'PG-13 - Mayores de 13 años',
-      'R - 17+ (violence & profanity)': 'R - Mayores de 17 años',
-      'R+ - Mild Nudity': 'R+ - Nudidad leve',
-      'Rx - Hentai': 'Rx - Hentai'
-    };
-    return translations[text] || text;
+  if (existing) {
+    // Episodios guardados antes de existir addedAt: usar la fecha de alta del anime
+    animeCreatedAt = existing._id.getTimestamp();
+    (existing.seasons || []).forEach(season => {
+      season.episodes.forEach(ep => {
+        previousEpisodes.set(`${season.seasonNumber}x${ep.episodeNumber}`, ep);
+      });
+    });
   }
 
-  return text;
+  anime.seasons.forEach(season => {
+    season.episodes.forEach(ep => {
+      const previous = previousEpisodes.get(`${season.seasonNumber}x${ep.episodeNumber}`);
+
+      ep.addedAt = previous ? (previous.addedAt || animeCreatedAt) : now;
+
+      // El estado solo sirve si el enlace sigue en data.js (se empareja por url)
+      const previousSources = new Map(((previous && previous.sources) || []).map(src => [src.url, src]));
+      ep.sources.forEach(source => {
+        const previousSource = previousSources.get(source.url);
+        if (!previousSource) return;
+        CARRIED_SOURCE_FIELDS.forEach(field => {
+          if (previousSource[field] !== undefined) source[field] = previousSource[field];
+        });
+      });
+    });
+  });
 }
 
 // ========================================
@@ -319,6 +330,7 @@ async function migrateData() {
         anime.synopsis = `${anime.name} es ${anime.isAiring ? 'un anime actualmente en emisión' : 'un anime que ha finalizado su emisión'}. Disfruta de todos los episodios disponibles en nuestra plataforma.`;
         anime.genres = ['Anime'];
         anime.status = anime.isAiring ? 'Currently Airing' : 'Finished Airing';
+        anime.kind = 'tv';
         anime.episodes = anime.seasons.reduce((sum, s) => sum + s.episodes.length, 0);
         anime.score = 0;
         anime.rating = 'N/A';
@@ -344,8 +356,17 @@ async function migrateData() {
     let savedCount = 0;
     let updatedCount = 0;
     
+    // Estado ya registrado para no marcar como nuevos episodios existentes ni perder la salud de las fuentes
+    const existingAnimes = await Anime.find({})
+      .select('id seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.addedAt seasons.episodes.sources')
+      .lean();
+    const existingById = new Map(existingAnimes.map(anime => [anime.id, anime]));
+    const migrationDate = new Date();
+    
     for (const anime of allAnimes) {
       try {
+        carryOverEpisodeState(anime, existingById.get(anime.id), migrationDate);
+        
         // FORZAR ACTUALIZACIÓN con $set
         const result = await Anime.updateOne(
           { id: anime.id },
@@ -361,6 +382,7 @@ async function migrateData() {
               synopsis: anime.synopsis,   // Sinopsis traducida a español
               genres: anime.genres,
               status: anime.status,
+              kind: anime.kind,
               episodes: anime.episodes,
               score: anime.score,
               rating: anime.rating,
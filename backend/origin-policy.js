@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+// ========================================
+// POLÍTICA DE ORÍGENES (CORS + REFERER DE LOS PROXIES)
+// Una sola lista para todo el backend. Se busca en este orden:
+//   1. ALLOWED_ORIGINS_<ENTORNO>  (p. ej. ALLOWED_ORIGINS_PREVIEW)
+//   2. ALLOWED_ORIGINS
+//   3. Archivo JSON (ORIGINS_CONFIG, por defecto origins.json): { "production": [...], "preview": [...] }
+//   4. Valores por defecto (frontend de producción, FRONTEND_URL y localhost)
+// Entorno: APP_ENV, VERCEL_ENV o NODE_ENV (por defecto "development")
+// Patrones: "https://app.com", "http://localhost:3000", "https://*.app.com" (subdominios),
+// "https://mi-front-*.vercel.app" (despliegues de preview) o "*"
+// ========================================
+const DEFAULT_ORIGINS = [
+  'https://streanime-2-frontend.vercel.app',
+  'https://streanime-2.vercel.app',
+  'http://localhost:3000'
+];
+
+// Dominios donde cualquiera puede crear un subdominio: "*.vercel.app" admite despliegues ajenos
+const SHARED_HOSTING_DOMAINS = ['vercel.app', 'netlify.app', 'pages.dev', 'github.io', 'onrender.com', 'herokuapp.com'];
+
+const PATTERN = /^(https?):\/\/([a-z0-9*.-]+)(:\d+)?$/;
+
+function currentEnvironment() {
+  return (process.env.APP_ENV || process.env.VERCEL_ENV || process.env.NODE_ENV || 'development').toLowerCase();
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readConfigFile(environment) {
+  const file = process.env.ORIGINS_CONFIG || path.join(__dirname, 'origins.json');
+  if (!fs.existsSync(file)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ No se pudo leer ${file}: ${error.message}`);
+    return null;
+  }
+
+  const list = Array.isArray(config) ? config : config[environment];
+  return Array.isArray(list) ? { origins: list, source: `${path.basename(file)} (${environment})` } : null;
+}
+
+function loadOrigins(environment) {
+  const envKey = `ALLOWED_ORIGINS_${environment.toUpperCase()}`;
+  if (process.env[envKey]) {
+    return { origins: splitList(process.env[envKey]), source: envKey };
+  }
+  if (process.env.ALLOWED_ORIGINS) {
+    return { origins: splitList(process.env.ALLOWED_ORIGINS), source: 'ALLOWED_ORIGINS' };
+  }
+
+  const fromFile = readConfigFile(environment);
+  if (fromFile) return fromFile;
+
+  const defaults = process.env.FRONTEND_URL ? [process.env.FRONTEND_URL, ...DEFAULT_ORIGINS] : DEFAULT_ORIGINS;
+  return { origins: defaults, source: 'valores por defecto' };
+}
+
+// Host con comodines -> RegExp: "*." al principio son uno o más subdominios, "*" dentro de una etiqueta es cualquier texto
+function hostRegex(host) {
+  const labels = host.split('.');
+  const anySubdomain = labels[0] === '*';
+  const rest = labels.slice(anySubdomain ? 1 : 0).map(label => label.split('*').join('[a-z0-9-]*')).join('\\.');
+  return new RegExp(`^${anySubdomain ? '(?:[a-z0-9-]+\\.)+' : ''}${rest}$`);
+}
+
+// "https://*.Vercel.app/" -> { any: false, scheme: 'https', wildcard: true, host: '*.vercel.app', port: '', regex }
+function parsePattern(pattern) {
+  const normalized = pattern.trim().toLowerCase().replace(/\/+$/, '');
+  if (normalized === '*') return { any: true, pattern };
+
+  const match = normalized.match(PATTERN);
+  if (!match) {
+    throw new Error(`Origen inválido en la política: "${pattern}" (usa esquema://host[:puerto])`);
+  }
+
+  const host = match[2];
+  return {
+    any: false,
+    pattern,
+    scheme: match[1],
+    wildcard: host.includes('*'),
+    host,
+    port: match[3] || '',
+    regex: hostRegex(host)
+  };
+}
+
+function matches(rule, origin) {
+  if (rule.any) return true;
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (e) {
+    return false;
+  }
+
+  if (url.protocol !== `${rule.scheme}:` || (url.port ? `:${url.port}` : '') !== rule.port) return false;
+
+  return rule.regex.test(url.hostname.toLowerCase());
+}
+
+// Abierta = cualquiera puede montar una web que pase el filtro: "*", comodines sobre un TLD
+// o sobre un hosting compartido (en *.vercel.app cualquiera puede llamar a su proyecto "mi-front-falso")
+function isOpenRule(rule) {
+  if (rule.any) return true;
+  if (!rule.wildcard) return false;
+
+  const fixedSuffix = rule.host.slice(rule.host.lastIndexOf('*') + 1).replace(/^[^.]*\./, '');
+  return !fixedSuffix.includes('.') || SHARED_HOSTING_DOMAINS.includes(fixedSuffix);
+}
+
+const ENVIRONMENT = currentEnvironment();
+const { origins, source } = loadOrigins(ENVIRONMENT);
+// Un patrón mal escrito se descarta (nunca abre la política)
+const RULES = origins.flatMap((pattern) => {
+  try {
+    return [parsePattern(pattern)];
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return [];
+  }
+});
+
+function isAllowedOrigin(origin) {
+  return Boolean(origin) && RULES.some(rule => matches(rule, origin));
+}
+
+// Para la opción `origin` de cors(): las peticiones sin Origin (curl, servidor a servidor) no son de navegador
+function corsOrigin(origin, callback) {
+  callback(null, !origin || isAllowedOrigin(origin));
+}
+
+function logOriginPolicy() {
+  console.log(`🌐 Orígenes permitidos [${ENVIRONMENT}] desde ${source}: ${RULES.map(rule => rule.pattern).join(', ')}`);
+
+  const open = RULES.filter(isOpenRule);
+  if (open.length > 0) {
+    console.warn(`⚠️  La política de orígenes está abierta (${open.map(rule => rule.pattern).join(', ')}): cualquier web puede usar la API y el proxy de video`);
+  }
+}
+
+module.exports = { isAllowedOrigin, corsOrigin, logOriginPolicy };
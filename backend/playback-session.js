@@ -0,0 +1,70 @@
+const { signToken, verifyToken } = require('./jwt-keys');
+const { parseCookies, matchesClientBinding } = require('./client-binding');
+
+// ========================================
+// SESIONES DE REPRODUCCIÓN CON COOKIE FIRMADA
+// Alternativa al referer: algunos navegadores y apps lo eliminan. /api/stream/token deja una
+// cookie HttpOnly (un JWT del llavero) limitada al proxy y a los subtítulos del episodio, que
+// la aceptan en lugar de referer + token. PLAYBACK_SESSIONS=on para activarlo (por defecto off)
+// ========================================
+const PLAYBACK_SESSIONS = (process.env.PLAYBACK_SESSIONS || 'off').toLowerCase() === 'on';
+const PLAYBACK_COOKIE = 'playback';
+const PLAYBACK_SESSION_SECONDS = parseInt(process.env.PLAYBACK_SESSION_SECONDS || process.env.HLS_TOKEN_EXPIRES || '14400');
+const SAMESITE_VALUES = ['none', 'lax', 'strict'];
+
+// None: el frontend está en otro dominio (Lax/Strict solo sirven si comparten sitio con el backend).
+// Se valida al arrancar: con un valor desconocido res.cookie lanzaría en cada /api/stream/token
+function parseSameSite(value) {
+  const normalized = String(value || 'none').trim().toLowerCase();
+  if (!SAMESITE_VALUES.includes(normalized)) {
+    throw new Error(`PLAYBACK_COOKIE_SAMESITE desconocido: ${value} (usa ${SAMESITE_VALUES.join(', ')})`);
+  }
+  return normalized;
+}
+
+const PLAYBACK_COOKIE_SAMESITE = parseSameSite(process.env.PLAYBACK_COOKIE_SAMESITE);
+
+function playbackPaths(episodeId) {
+  return [
+    `/api/proxy/video/${encodeURIComponent(episodeId)}`,
+    `/api/subtitles/${encodeURIComponent(episodeId)}`
+  ];
+}
+
+// Una cookie por path: el proxy del episodio (con sus segmentos HLS, /hls) y sus pistas de subtítulos
+function setPlaybackCookie(res, episodeId, { variant, binding } = {}) {
+  if (!PLAYBACK_SESSIONS) return;
+
+  const session = signToken(
+    { typ: 'playback', episodeId, ...(variant && { variant }), ...(binding && { cb: binding }) },
+    { expiresIn: PLAYBACK_SESSION_SECONDS }
+  );
+
+  for (const path of playbackPaths(episodeId)) {
+    res.cookie(PLAYBACK_COOKIE, session, {
+      httpOnly: true,
+      secure: true,
+      sameSite: PLAYBACK_COOKIE_SAMESITE,
+      path,
+      maxAge: PLAYBACK_SESSION_SECONDS * 1000
+    });
+  }
+}
+
+// Sesión válida para este episodio y este cliente, o null
+function readPlaybackSession(req, episodeId) {
+  if (!PLAYBACK_SESSIONS) return null;
+
+  const cookie = parseCookies(req.headers.cookie)[PLAYBACK_COOKIE];
+  if (!cookie) return null;
+
+  try {
+    const session = verifyToken(cookie);
+    if (session.typ !== 'playback' || session.episodeId !== episodeId) return null;
+    return matchesClientBinding(session, req) ? session : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { PLAYBACK_SESSIONS, setPlaybackCookie, readPlaybackSession };
@@ -0,0 +1,98 @@
+// ========================================
+// LÍMITE DE PETICIONES (VENTANA DESLIZANTE)
+// Cada clave guarda las marcas de tiempo de sus peticiones aceptadas dentro de la ventana.
+// Almacén: hit(key, { limit, windowMs, cost }) -> { allowed, retryAfterMs }. La decisión se toma en el
+// almacén para que uno compartido (Redis, MongoDB...) pueda hacerla atómica entre instancias.
+// ========================================
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryRateStore() {
+  const hits = new Map(); // clave -> [marcas de tiempo ordenadas]
+
+  // Limpieza de las claves sin actividad reciente; unref para no mantener vivo el proceso
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.expiresAt <= now) hits.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    // cost = huecos que ocupa la petición (un lote de N tokens cuesta N); nunca más que el límite entero
+    async hit(key, { limit, windowMs, cost = 1 }) {
+      const now = Date.now();
+      const entry = hits.get(key) || { times: [], expiresAt: 0 };
+      entry.times = entry.times.filter(time => time > now - windowMs);
+      const slots = Math.min(cost, limit);
+
+      if (entry.times.length + slots > limit) {
+        hits.set(key, entry);
+        // Hay que esperar a que salgan de la ventana las marcas que dejan sitio para `slots`
+        const freeing = entry.times[entry.times.length + slots - limit - 1];
+        return { allowed: false, retryAfterMs: freeing + windowMs - now };
+      }
+
+      for (let i = 0; i < slots; i++) entry.times.push(now);
+      entry.expiresAt = now + windowMs;
+      hits.set(key, entry);
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  };
+}
+
+// "30/60" = 30 peticiones cada 60 segundos; "off" o "0" desactiva el límite
+function parseLimit(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'off' || normalized === '0') return null;
+
+  const match = normalized.match(/^(\d+)\/(\d+)$/);
+  if (!match || parseInt(match[1]) === 0) {
+    throw new Error(`Límite inválido: "${value}" (usa peticiones/segundos, p. ej. 30/60, u off)`);
+  }
+  return { limit: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+}
+
+const KEYS = {
+  ip: req => req.ip
+};
+
+// Cobra `cost` peticiones a la clave de req. true = puede seguir; false = ya se respondió 429
+async function charge({ name, by, config, store }, req, res, cost) {
+  try {
+    const id = typeof by === 'function' ? by(req) : KEYS[by](req);
+    if (!id || cost <= 0) return true;
+
+    const { allowed, retryAfterMs } = await store.hit(`${name}:${id}`, { ...config, cost });
+    if (allowed) return true;
+
+    const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    console.warn(`⚠️  Límite ${name} superado${by === 'ip' ? ` (ip: ${id})` : ''}`);
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ success: false, error: 'Demasiadas solicitudes, inténtalo más tarde', retryAfterSeconds });
+    return false;
+  } catch (error) {
+    // Si el almacén falla se deja pasar: mejor sin límite que sin servicio
+    console.warn(`⚠️  No se pudo comprobar el límite ${name}: ${error.message}`);
+    return true;
+  }
+}
+
+// Middleware de Express. name separa los contadores (p. ej. "token:ip" y "media:ip")
+// by: 'ip' o una función req -> clave propia (si devuelve null la petición no cuenta)
+function rateLimit({ name, by, limit: value, store }) {
+  const config = parseLimit(value);
+  if (!config) return (req, res, next) => next();
+
+  return async (req, res, next) => {
+    if (await charge({ name, by, config, store }, req, res, 1)) next();
+  };
+}
+
+// Para rutas cuyo coste se conoce dentro del handler (p. ej. cuántos tokens emite un lote).
+// Mismas opciones que rateLimit: comparte contador con el middleware del mismo name
+async function chargeRateLimit({ name, by, limit: value, store }, req, res, cost) {
+  const config = parseLimit(value);
+  return !config || charge({ name, by, config, store }, req, res, cost);
+}
+
+module.exports = { createMemoryRateStore, parseLimit, rateLimit, chargeRateLimit };
@@ -2,11 +2,33 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const helmet = require('helmet');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Anime } = require('./anime-model');
+const { accentInsensitiveRegex, escapeRegex } = require('./text-utils');
+const { WEEKDAYS, findWeekday, currentWeekday } = require('./weekdays');
+const { buildScheduleCalendar } = require('./ical');
+const { buildRss, buildAtom } = require('./feeds');
+const { translateMetadata } = require('./metadata');
+const { proxyVideo } = require('./video-proxy');
+const { getPlayableUrl, isFresh } = require('./link-resolver');
+const { rankSources, getEpisodeVariants, markSourceStatus } = require('./episode-sources');
+const { VARIANTS, DEFAULT_VARIANT, isVariant, describeVariant, variantsOf } = require('./variants');
+const { checkAllLinks, findUnhealthyEpisodes, SLOW_THRESHOLD_MS } = require('./link-health');
+const { sealUrl, openUrl, proxyPlaylist } = require('./hls-proxy');
+const { fetchSubtitleAsVtt } = require('./subtitles');
+const { createTokenStore } = require('./token-store');
+const { BINDING, ensureSessionCookie, clientBinding, matchesClientBinding } = require('./client-binding');
+const { formatEpisodeId, isPublished, resolveEpisode } = require('./episode-resolver');
+const { signingKey, activeKeys, signToken, verifyToken, tokenSecret } = require('./jwt-keys');
+const { isAllowedOrigin, corsOrigin, logOriginPolicy } = require('./origin-policy');
+const { PLAYBACK_SESSIONS, setPlaybackCookie, readPlaybackSession } = require('./playback-session');
+const { createMemoryRateStore, rateLimit, chargeRateLimit } = require('./rate-limit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
 
 // ========================================
 // LOGGING DE VARIABLES DE ENTORNO
@@ -14,8 +36,15 @@ const PORT = process.env.PORT || 3000;
 console.log('🔍 Variables de entorno cargadas:');
 console.log('  MONGODB_URI:', process.env.MONGODB_URI ? '✅ Configurado' : '❌ No configurado');
 console.log('  JWT_SECRET:', process.env.JWT_SECRET ? `✅ Configurado (${process.env.JWT_SECRET.length} caracteres)` : '❌ No configurado');
+console.log('  JWT_KEYS:', signingKey() ? `✅ ${activeKeys().map(key => key.kid).join(', ')} (firma: ${signingKey().kid})` : '❌ Ninguna clave activa');
 console.log('  FRONTEND_URL:', process.env.FRONTEND_URL || 'No configurado');
 console.log('  TOKEN_EXPIRES:', process.env.TOKEN_EXPIRES || '300');
+console.log('  STREAM_TOKEN_STORE:', process.env.STREAM_TOKEN_STORE || 'memory');
+console.log('  STREAM_TOKEN_BINDING:', BINDING.length > 0 ? BINDING.join(',') : 'off');
+console.log('  PLAYBACK_SESSIONS:', PLAYBACK_SESSIONS ? 'on' : 'off');
+console.log('  SCHEDULE_TIMEZONE:', SCHEDULE_TIMEZONE);
+console.log('  ADMIN_TOKEN:', process.env.ADMIN_TOKEN ? '✅ Configurado' : '❌ No configurado (rutas /api/admin deshabilitadas)');
+logOriginPolicy();
 
 // ========================================
 // CONEXIÓN A MONGODB ATLAS
@@ -27,45 +56,15 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(() => console.log('✅ Conectado a MongoDB Atlas'))
 .catch(err => console.error('❌ Error de conexión:', err));
 
-// ========================================
-// ESQUEMA DE DATOS
-// ========================================
-const animeSchema = new mongoose.Schema({
-  id: { type: String, unique: true, required: true },
-  name: String,
-  year: Number,
-  day: String,
-  isAiring: Boolean,
-  malId: Number,
-  image: String,
-  thumbnail: String,
-  synopsis: String,
-  genres: [String],
-  status: String,
-  episodes: Number,
-  score: Number,
-  rating: String,
-  seasons: [{
-    seasonNumber: Number,
-    episodes: [{
-      episodeNumber: Number,
-      name: String,
-      videoUrl: String,
-      fileName: String
-    }]
-  }]
-});
-
-const Anime = mongoose.model('Anime', animeSchema);
-
 // ========================================
 // MIDDLEWARES DE SEGURIDAD
 // ========================================
-// Configurar CORS correctamente para Vercel
+// Detrás del proxy de Vercel req.ip sale de X-Forwarded-For (TRUST_PROXY = saltos de confianza)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '1'));
+
+// Configurar CORS correctamente para Vercel (mismos orígenes que el proxy, ver origin-policy.js)
 const corsOptions = {
-  origin: process.env.FRONTEND_URL ? 
-    [process.env.FRONTEND_URL, 'https://streanime-2-frontend.vercel.app'] : 
-    '*',
+  origin: corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
@@ -78,31 +77,66 @@ app.use(express.json());
 // Manejar preflight requests
 app.options('*', cors(corsOptions));
 
+// ========================================
+// LÍMITES DE PETICIONES (formato peticiones/segundos, "off" para desactivar)
+// Emisión de tokens y peticiones de medios tienen contadores separados; el límite de emisión
+// cuenta tokens, no peticiones: los endpoints de lote cobran uno por episodio (ver chargeBatch).
+// Con varias instancias, sustituir rateStore por uno compartido que implemente hit() (ver rate-limit.js)
+// ========================================
+const rateStore = createMemoryRateStore();
+
+const TOKEN_IP_LIMIT = { name: 'token-ip', by: 'ip', limit: process.env.RATE_LIMIT_TOKEN_IP || '30/60', store: rateStore };
+
+const tokenIssueLimits = [rateLimit(TOKEN_IP_LIMIT)];
+
+// El límite "por token" cuenta reproducciones, no cadenas: cada URI HLS trae su propio token
+// (con el jti del principal, ver hlsProxyUrl) y con cookie de sesión no hay token.
+// El payload no se verifica aquí: solo elige el contador y la ruta comprueba la firma después
+function playbackKey(req) {
+  const token = req.query.token || req.headers.authorization?.split(' ')[1];
+  const jti = typeof token === 'string' ? jwt.decode(token)?.jti : null;
+  return jti ? `jti:${jti}` : `${req.params.episodeId}:${playbackSessionId(req)}`;
+}
+
+// Un reproductor HLS pide un segmento cada pocos segundos y un MP4 varios rangos al hacer seek
+const mediaLimits = [
+  rateLimit({ name: 'media-ip', by: 'ip', limit: process.env.RATE_LIMIT_MEDIA_IP || '600/60', store: rateStore }),
+  rateLimit({ name: 'media-token', by: playbackKey, limit: process.env.RATE_LIMIT_MEDIA_TOKEN || '300/60', store: rateStore })
+];
+
+// ========================================
+// ENLACES AL FRONTEND (calendarios y feeds nunca enlazan al videoUrl)
+// ========================================
+const FRONTEND_BASE_URL = (process.env.FRONTEND_URL || 'https://streanime-2-frontend.vercel.app').replace(/\/+$/, '');
+
+function frontendAnimeUrl(animeId) {
+  return `${FRONTEND_BASE_URL}/anime/${encodeURIComponent(animeId)}`;
+}
+
+function frontendEpisodeUrl(animeId, seasonNumber, episodeNumber) {
+  return `${frontendAnimeUrl(animeId)}?season=${seasonNumber}&episode=${episodeNumber}`;
+}
+
 // ========================================
 // GENERADOR DE TOKENS JWT
 // ========================================
-function generateStreamToken(episodeId) {
+function generateStreamToken(episodeId, { variant, uses = 1, binding = null, expiresIn = parseInt(process.env.TOKEN_EXPIRES || '300') } = {}) {
   try {
-    // Verificar que JWT_SECRET esté definido
-    const secret = process.env.JWT_SECRET;
-    if (!secret || secret.length < 32) {
-      console.error('❌ JWT_SECRET no está configurado o es demasiado corto');
-      throw new Error('JWT_SECRET no configurado correctamente');
-    }
-    
     // Verificar que episodeId esté definido
     if (!episodeId) {
       throw new Error('episodeId es requerido');
     }
     
-    const expiresIn = parseInt(process.env.TOKEN_EXPIRES || '300');
-    
-    return jwt.sign(
+    // Firma la clave más nueva del llavero (el kid va en la cabecera)
+    return signToken(
       { 
         episodeId, 
+        ...(variant && { variant }), // Sin variante se reproduce la principal del episodio
+        ...(uses > 1 && { uses }), // Sin uses el token vale para una sola reproducción
+        ...(binding && { cb: binding }), // Hash del cliente (ver client-binding.js)
+        jti: crypto.randomUUID(),
         iat: Math.floor(Date.now() / 1000)
       },
-      secret,
       { expiresIn: expiresIn }
     );
   } catch (error) {
@@ -111,79 +145,575 @@ function generateStreamToken(episodeId) {
   }
 }
 
+// ========================================
+// VERIFICACIÓN DE TOKENS DE STREAMING
+// typ distingue el token de /api/stream/token ('stream') de los de segmentos HLS ('hls')
+// ========================================
+function verifyStreamToken(token, expectedType = 'stream') {
+  const decoded = verifyToken(token);
+  
+  if ((decoded.typ || 'stream') !== expectedType || !decoded.episodeId) {
+    throw new Error('Tipo de token inválido');
+  }
+  
+  return decoded;
+}
+
+// ========================================
+// TOKENS DE UN SOLO USO (ANTI-REPLAY)
+// Una "sesión de reproducción" es el par IP + User-Agent: todas las peticiones de rango
+// del mismo reproductor comparten sesión; otro cliente con el mismo token es un replay
+// ========================================
+const STREAM_TOKEN_MAX_USES = parseInt(process.env.STREAM_TOKEN_MAX_USES || '5');
+const tokenStore = createTokenStore();
+
+function playbackSessionId(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.ip}|${req.headers['user-agent'] || ''}`)
+    .digest('base64url');
+}
+
+// true si esta sesión puede seguir usando el token (lo registra como consumido)
+function consumeStreamToken(decoded, req) {
+  return tokenStore.consume(decoded.jti, playbackSessionId(req), {
+    maxUses: decoded.uses || 1,
+    expiresAt: new Date(decoded.exp * 1000)
+  });
+}
+
+// ========================================
+// AUTORIZAR UN TOKEN DE STREAMING (firma, episodio, cliente y anti-replay)
+// Devuelve el payload, o null después de responder el error
+// type: 'stream' o 'hls'; episodeId: el de la URL, si la ruta depende de él;
+// consume: false cuando otra credencial (la cookie de sesión) ya cubre el anti-replay
+// ========================================
+async function authorizeStreamToken(req, res, token, { type = 'stream', episodeId, consume = true } = {}) {
+  if (!token) {
+    res.status(401).json({ success: false, error: 'Token requerido' });
+    return null;
+  }
+  
+  let decoded;
+  try {
+    decoded = verifyStreamToken(token, type);
+  } catch (e) {
+    res.status(403).json({ success: false, error: 'Token inválido o expirado' });
+    return null;
+  }
+  
+  if (episodeId && decoded.episodeId !== episodeId) {
+    res.status(403).json({ success: false, error: 'Token inválido o expirado' });
+    return null;
+  }
+  
+  if (!matchesClientBinding(decoded, req)) {
+    console.warn(`⚠️  Token usado desde otro cliente: ${decoded.episodeId}`);
+    res.status(403).json({ success: false, error: 'Token emitido para otro cliente' });
+    return null;
+  }
+  
+  if (!consume) return decoded;
+  
+  // 🔂 ANTI-REPLAY: el token solo vale para las sesiones de reproducción que lo consumieron
+  if (!decoded.jti) {
+    res.status(403).json({ success: false, error: 'Token inválido o expirado' });
+    return null;
+  }
+  
+  if (!(await consumeStreamToken(decoded, req))) {
+    console.warn(`⚠️  Token reutilizado desde otro cliente: ${decoded.episodeId} (${decoded.jti})`);
+    res.status(403).json({ success: false, error: 'Token ya utilizado' });
+    return null;
+  }
+  
+  return decoded;
+}
+
+// ========================================
+// TOKENS DE SEGMENTOS HLS
+// Duran lo que un episodio completo: hls.js pide segmentos durante toda la reproducción.
+// Heredan jti y uses del token que abrió la reproducción: se consumen en el mismo registro,
+// así una URI copiada de la playlist no sirve en otro cliente (ver ENDPOINT 4B)
+// ========================================
+const HLS_TOKEN_EXPIRES = parseInt(process.env.HLS_TOKEN_EXPIRES || '14400');
+
+// La URL se cifra con la misma clave que firma el token: 4B la descifra con la clave de su kid.
+// Con cookie de sesión no hay jti: esas URIs solo valen junto a la cookie
+function hlsProxyUrl(episodeId, upstreamUrl, isPlaylist, { binding, jti, uses } = {}) {
+  const key = signingKey();
+  const token = signToken(
+    {
+      typ: 'hls',
+      episodeId,
+      src: sealUrl(upstreamUrl, key.secret),
+      playlist: isPlaylist,
+      ...(binding && { cb: binding }),
+      ...(jti && { jti }),
+      ...(uses > 1 && { uses })
+    },
+    { expiresIn: HLS_TOKEN_EXPIRES },
+    key
+  );
+  return `/api/proxy/video/${encodeURIComponent(episodeId)}/hls?token=${token}`;
+}
+
+// ========================================
+// PAGINACIÓN Y ORDEN DEL CATÁLOGO
+// ========================================
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Cada orden se apoya en un índice compuesto definido en anime-model.js
+const SORT_OPTIONS = {
+  name: { name: 1, _id: 1 },
+  year: { year: -1, name: 1, _id: 1 },
+  score: { score: -1, name: 1, _id: 1 },
+  recent: { _id: -1 } // _id crece con cada alta en la migración
+};
+
+function parsePagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Reconstruye la URL actual cambiando solo el número de página
+function buildPageUrl(req, page) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === 'page') continue;
+    [].concat(value).forEach(v => params.append(key, v));
+  }
+  params.set('page', page);
+  return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+function buildPagination(req, { page, limit }, total) {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    next: page < totalPages ? buildPageUrl(req, page + 1) : null,
+    prev: page > 1 ? buildPageUrl(req, Math.min(page - 1, totalPages)) : null
+  };
+}
+
+// ========================================
+// SERIALIZAR ANIME PARA EL FRONTEND (NUNCA INCLUYE videoUrl)
+// ========================================
+const PUBLIC_ANIME_FIELDS = 'id name year day isAiring kind malId image thumbnail synopsis genres status episodes score rating seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.name seasons.episodes.fileName seasons.episodes.format seasons.episodes.addedAt seasons.episodes.subtitles.lang seasons.episodes.subtitles.label seasons.episodes.sources.variant';
+
+function serializeAnime(anime) {
+  return {
+    id: anime.id,
+    name: anime.name,
+    year: anime.year,
+    day: anime.day,
+    isAiring: anime.isAiring,
+    kind: anime.kind || 'tv',
+    malId: anime.malId,
+    image: anime.image,
+    thumbnail: anime.thumbnail,
+    synopsis: anime.synopsis, // Ya traducido en la migración
+    genres: anime.genres || [],
+    status: anime.status, // Ya traducido en la migración
+    totalEpisodes: anime.episodes || anime.seasons.reduce((sum, s) => sum + s.episodes.length, 0),
+    score: anime.score || 0,
+    rating: anime.rating, // Ya traducido en la migración
+    totalSeasons: anime.seasons.length,
+    seasons: anime.seasons.map(season => {
+      const episodes = season.episodes.map(ep => ({
+        episodeNumber: ep.episodeNumber,
+        name: ep.name,
+        fileName: ep.fileName,
+        format: ep.format || 'mp4',
+        addedAt: ep.addedAt,
+        // Pistas disponibles; el archivo se pide a /api/subtitles/:episodeId/:lang.vtt
+        subtitles: (ep.subtitles || []).map(track => ({ lang: track.lang, label: track.label })),
+        // Audios disponibles (sub, lat, cast); el primero es el que se reproduce por defecto
+        variants: (ep.sources && ep.sources.length > 0 ? variantsOf(ep.sources) : [DEFAULT_VARIANT]).map(describeVariant)
+      }));
+      
+      return {
+        seasonNumber: season.seasonNumber,
+        // Unión de los audios de sus episodios, para el selector Sub / Latino / Castellano
+        variants: Object.keys(VARIANTS)
+          .filter(key => episodes.some(ep => ep.variants.some(variant => variant.key === key)))
+          .map(describeVariant),
+        episodes
+      };
+    })
+  };
+}
+
+// Audios de un episodio en agregaciones: los de sus fuentes o la variante principal si no tiene sources[]
+const EPISODE_VARIANTS_EXPRESSION = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$$episode.sources', []] } }, 0] },
+    { $map: { input: '$$episode.sources', as: 'src', in: { $ifNull: ['$$src.variant', DEFAULT_VARIANT] } } },
+    [DEFAULT_VARIANT]
+  ]
+};
+
+// ========================================
+// PROYECCIÓN RESUMIDA PARA GRIDS DEL CATÁLOGO
+// Los conteos se calculan en MongoDB: no viaja ningún episodio
+// ========================================
+const SUMMARY_PROJECTION = {
+  _id: 0,
+  id: 1,
+  name: 1,
+  year: 1,
+  day: 1,
+  isAiring: 1,
+  kind: { $ifNull: ['$kind', 'tv'] },
+  image: 1,
+  thumbnail: 1,
+  score: { $ifNull: ['$score', 0] },
+  totalSeasons: { $size: { $ifNull: ['$seasons', []] } },
+  totalEpisodes: {
+    $cond: [
+      { $gt: ['$episodes', 0] },
+      '$episodes',
+      {
+        $sum: {
+          $map: {
+            input: { $ifNull: ['$seasons', []] },
+            as: 'season',
+            in: { $size: { $ifNull: ['$$season.episodes', []] } }
+          }
+        }
+      }
+    ]
+  },
+  // Audios disponibles en todo el anime, en el orden de VARIANTS y con el mismo formato que en modo full
+  variants: {
+    $filter: {
+      input: { $literal: Object.keys(VARIANTS).map(describeVariant) },
+      as: 'variant',
+      cond: {
+        $in: ['$$variant.key', {
+          $reduce: {
+            input: { $ifNull: ['$seasons', []] },
+            initialValue: [],
+            in: {
+              $setUnion: ['$$value', {
+                $reduce: {
+                  input: { $ifNull: ['$$this.episodes', []] },
+                  initialValue: [],
+                  in: { $setUnion: ['$$value', { $let: { vars: { episode: '$$this' }, in: EPISODE_VARIANTS_EXPRESSION } }] }
+                }
+              }]
+            }
+          }
+        }]
+      }
+    }
+  }
+};
+
+const FIELD_MODES = ['full', 'summary'];
+
+// Misma selección que PUBLIC_ANIME_FIELDS, en formato $project para agregaciones
+const PUBLIC_ANIME_PROJECTION = Object.fromEntries(
+  PUBLIC_ANIME_FIELDS.split(' ').map(field => [field, 1])
+);
+
+// ========================================
+// TIPOS DE CATÁLOGO (/api/animes/:type)
+// Cada tipo define el filtro base de MongoDB sobre el que se aplican los demás filtros
+// ========================================
+const CATALOG_TYPES = {
+  airing: { isAiring: true },
+  finished: { isAiring: false },
+  all: {},
+  upcoming: { status: translateMetadata('Not yet aired', 'status') }, // Jikan "Not yet aired"
+  movies: { kind: 'movie' },
+  ova: { kind: 'ova' }
+};
+
+// ========================================
+// FILTROS DEL CATÁLOGO (géneros, año, día, puntuación y clasificación)
+// Devuelve { filter } o { error } con el mensaje para el 400
+// ========================================
+const GENRE_MODES = ['and', 'or'];
+
+// ?genre=Acción&genre=Comedia y ?genre=Acción,Comedia son equivalentes
+function parseListParam(value) {
+  return [].concat(value || [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function parseYearRange(query) {
+  let from = query.yearFrom;
+  let to = query.yearTo;
+  
+  if (query.year) {
+    const [start, end] = String(query.year).split('-');
+    from = start;
+    to = end === undefined ? start : end;
+  }
+  
+  const range = {};
+  if (from !== undefined && from !== '') range.$gte = parseInt(from);
+  if (to !== undefined && to !== '') range.$lte = parseInt(to);
+  
+  return range;
+}
+
+function buildCatalogFilter(query) {
+  const filter = {};
+  
+  const genres = parseListParam(query.genre);
+  if (genres.length > 0) {
+    const genreMode = query.genreMode || 'and';
+    if (!GENRE_MODES.includes(genreMode)) {
+      return { error: 'genreMode debe ser "and" u "or"' };
+    }
+    const patterns = genres.map(genre => accentInsensitiveRegex(genre, true));
+    filter.genres = genreMode === 'and' ? { $all: patterns } : { $in: patterns };
+  }
+  
+  const yearRange = parseYearRange(query);
+  if (Object.values(yearRange).some(isNaN)) {
+    return { error: 'Año inválido (usa year=2024, year=2020-2024 o yearFrom/yearTo)' };
+  }
+  if (Object.keys(yearRange).length > 0) {
+    filter.year = yearRange;
+  }
+  
+  // Solo los animes en emisión tienen día de estreno
+  if (query.day) {
+    filter.day = accentInsensitiveRegex(query.day, true);
+  }
+  
+  if (query.minScore !== undefined) {
+    const minScore = parseFloat(query.minScore);
+    if (isNaN(minScore) || minScore < 0 || minScore > 10) {
+      return { error: 'minScore debe ser un número entre 0 y 10' };
+    }
+    filter.score = { $gte: minScore };
+  }
+  
+  // La clasificación se guarda traducida ("PG-13 - Mayores de 13 años"): se filtra por el código
+  const ratings = parseListParam(query.rating);
+  if (ratings.length > 0) {
+    filter.rating = { $in: ratings.map(code => new RegExp(`^${escapeRegex(code)}(\\s|$)`, 'i')) };
+  }
+  
+  return { filter };
+}
+
+// ========================================
+// FACETAS DEL CATÁLOGO (conteos para las barras de filtros)
+// ========================================
+const CATALOG_FACETS = {
+  genres: [
+    { $unwind: '$genres' },
+    { $group: { _id: '$genres', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ],
+  years: [
+    { $match: { year: { $ne: null } } },
+    { $group: { _id: '$year', count: { $sum: 1 } } },
+    { $sort: { _id: -1 } }
+  ],
+  kinds: [
+    { $group: { _id: { $ifNull: ['$kind', 'tv'] }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ],
+  days: [
+    { $match: { day: { $nin: [null, ''] } } },
+    { $group: { _id: '$day', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ],
+  ratings: [
+    { $match: { rating: { $nin: [null, ''] } } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]
+};
+
+async function countCatalogFacets(filter) {
+  const [facets] = await Anime.aggregate([
+    { $match: filter },
+    { $facet: CATALOG_FACETS }
+  ]);
+  
+  const result = {};
+  for (const [name, buckets] of Object.entries(facets)) {
+    result[name] = buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+  }
+  return result;
+}
+
 // ========================================
 // ENDPOINT 1: Obtener listado de animes (SIN TRADUCCIÓN - ya está en DB)
+// Parámetros: ?page=1&limit=24&sort=name|year|score|recent&fields=full|summary
+// Filtros: genre (repetible) + genreMode=and|or, year=2024 | year=2020-2024 | yearFrom/yearTo,
+//          day, minScore, rating (repetible) y facets=false para omitir los conteos
 // ========================================
 app.get('/api/animes/:type', async (req, res) => {
   try {
-    const isAiring = req.params.type === 'airing';
-    const animes = await Anime.find({ isAiring })
-      .select('id name year day isAiring malId image thumbnail synopsis genres status episodes score rating seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.name seasons.episodes.fileName')
-      .lean();
+    const typeFilter = CATALOG_TYPES[req.params.type];
     
-    const processed = animes.map(anime => ({
-      id: anime.id,
-      name: anime.name,
-      year: anime.year,
-      day: anime.day,
-      isAiring: anime.isAiring,
-      malId: anime.malId,
-      image: anime.image,
-      thumbnail: anime.thumbnail,
-      synopsis: anime.synopsis, // Ya traducido en la migración
-      genres: anime.genres || [],
-      status: anime.status, // Ya traducido en la migración
-      totalEpisodes: anime.episodes || anime.seasons.reduce((sum, s) => sum + s.episodes.length, 0),
-      score: anime.score || 0,
-      rating: anime.rating, // Ya traducido en la migración
-      totalSeasons: anime.seasons.length,
-      seasons: anime.seasons.map(season => ({
-        seasonNumber: season.seasonNumber,
-        episodes: season.episodes.map(ep => ({
-          episodeNumber: ep.episodeNumber,
-          name: ep.name,
-          fileName: ep.fileName
-        }))
-      }))
-    }));
+    if (!Object.prototype.hasOwnProperty.call(CATALOG_TYPES, req.params.type)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Tipo de catálogo inválido', 
+        allowedTypes: Object.keys(CATALOG_TYPES) 
+      });
+    }
+    
+    const sortKey = req.query.sort || 'name';
+    
+    if (!SORT_OPTIONS[sortKey]) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Orden inválido', 
+        allowedSorts: Object.keys(SORT_OPTIONS) 
+      });
+    }
+    
+    const fields = req.query.fields || 'full';
+    
+    if (!FIELD_MODES.includes(fields)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Modo de campos inválido', 
+        allowedFields: FIELD_MODES 
+      });
+    }
     
-    res.json({ success: true, processed });
+    const catalogFilter = buildCatalogFilter(req.query);
+    
+    if (catalogFilter.error) {
+      return res.status(400).json({ success: false, error: catalogFilter.error });
+    }
+    
+    const filter = { ...catalogFilter.filter, ...typeFilter };
+    const includeFacets = req.query.facets !== 'false';
+    const pageInfo = parsePagination(req.query);
+    
+    const listQuery = fields === 'summary'
+      ? Anime.aggregate([
+          { $match: filter },
+          { $sort: SORT_OPTIONS[sortKey] },
+          { $skip: pageInfo.skip },
+          { $limit: pageInfo.limit },
+          { $project: SUMMARY_PROJECTION }
+        ])
+      : Anime.find(filter)
+          .sort(SORT_OPTIONS[sortKey])
+          .skip(pageInfo.skip)
+          .limit(pageInfo.limit)
+          .select(PUBLIC_ANIME_FIELDS)
+          .lean();
+    
+    const [animes, total, facets] = await Promise.all([
+      listQuery,
+      Anime.countDocuments(filter),
+      includeFacets ? countCatalogFacets(filter) : undefined
+    ]);
+    
+    // El resumen ya viene con la forma final desde la agregación
+    const processed = fields === 'summary' ? animes : animes.map(serializeAnime);
+    
+    res.json({ 
+      success: true, 
+      processed, 
+      sort: sortKey, 
+      fields, 
+      pagination: buildPagination(req, pageInfo, total), 
+      facets 
+    });
   } catch (error) {
     console.error('Error al cargar animes:', error);
     res.status(500).json({ success: false, error: 'Error al cargar animes' });
   }
 });
 
+// ========================================
+// VARIANTE A REPRODUCIR: la pedida o la principal del episodio; null si el episodio no la tiene
+// ========================================
+function pickVariant(episode, requested) {
+  const available = getEpisodeVariants(episode);
+  const variant = requested || available[0];
+  return available.includes(variant) ? variant : null;
+}
+
 // ========================================
 // ENDPOINT 2: Obtener token de streaming
 // ========================================
-app.post('/api/stream/token', (req, res) => {
+app.post('/api/stream/token', tokenIssueLimits, async (req, res) => {
   try {
-    const { episodeId } = req.body;
+    const { episodeId, variant, uses } = req.body;
     
     if (!episodeId) {
       return res.status(400).json({ success: false, error: 'ID de episodio requerido' });
     }
     
-    // Verificar JWT_SECRET
-    if (!process.env.JWT_SECRET) {
-      console.error('❌ JWT_SECRET no está definido en las variables de entorno');
-      return res.status(500).json({ success: false, error: 'Error de configuración del servidor' });
+    if (variant !== undefined && !isVariant(variant)) {
+      return res.status(400).json({ success: false, error: 'Variante inválida', allowedVariants: Object.keys(VARIANTS) });
+    }
+    
+    // Número de reproducciones (clientes distintos) que admite el token; por defecto 1
+    if (uses !== undefined && (!Number.isInteger(uses) || uses < 1 || uses > STREAM_TOKEN_MAX_USES)) {
+      return res.status(400).json({ success: false, error: `uses debe ser un entero entre 1 y ${STREAM_TOKEN_MAX_USES}` });
     }
     
-    // Verificar longitud de JWT_SECRET
-    if (process.env.JWT_SECRET.length < 32) {
-      console.error('❌ JWT_SECRET es demasiado corto:', process.env.JWT_SECRET.length, 'caracteres');
+    // Verificar que haya una clave de firma (JWT_SECRET o JWT_KEYS)
+    if (!signingKey()) {
+      console.error('❌ No hay ninguna clave JWT activa: configura JWT_SECRET o JWT_KEYS');
       return res.status(500).json({ success: false, error: 'Error de configuración del servidor' });
     }
     
-    // Generar token
-    const token = generateStreamToken(episodeId);
+    // Solo se firman tokens de episodios que existen y tienen al menos una fuente
+    const lookup = await resolveEpisode(episodeId);
+    
+    if (!lookup.ok) {
+      return res.status(lookup.status).json({ success: false, error: lookup.error });
+    }
+    
+    const { anime, season, episode } = lookup;
+    
+    if (!isPublished(episode)) {
+      return res.status(404).json({ success: false, error: 'Episodio no publicado' });
+    }
+    
+    const selectedVariant = pickVariant(episode, variant);
+    if (!selectedVariant) {
+      return res.status(400).json({ success: false, error: 'Variante no disponible', availableVariants: getEpisodeVariants(episode) });
+    }
+    
+    // Generar token (con el ID normalizado: "serie_01_1" -> "serie_1_1")
+    // La cookie de sesión debe existir antes de calcular el hash del cliente
+    ensureSessionCookie(req, res);
+    const canonicalId = formatEpisodeId(anime.id, season.seasonNumber, episode.episodeNumber);
+    const token = generateStreamToken(canonicalId, { variant, uses, binding: clientBinding(req) });
+    
+    // Cookie de sesión para reproductores que no envían referer (solo con PLAYBACK_SESSIONS=on)
+    setPlaybackCookie(res, canonicalId, { variant, binding: clientBinding(req) });
     
     res.json({ 
       success: true, 
       token, 
-      expiresInSeconds: parseInt(process.env.TOKEN_EXPIRES || '300') 
+      expiresInSeconds: parseInt(process.env.TOKEN_EXPIRES || '300'),
+      episodeId: canonicalId,
+      animeName: anime.name,
+      episode: {
+        seasonNumber: season.seasonNumber,
+        episodeNumber: episode.episodeNumber,
+        name: episode.name,
+        format: episode.format || 'mp4',
+        variant: describeVariant(selectedVariant),
+        variants: getEpisodeVariants(episode).map(describeVariant),
+        subtitles: (episode.subtitles || []).map(track => ({ lang: track.lang, label: track.label }))
+      }
     });
   } catch (error) {
     console.error('❌ Error en /api/stream/token:', error);
@@ -192,53 +722,266 @@ app.post('/api/stream/token', (req, res) => {
 });
 
 // ========================================
-// ENDPOINT 3: Obtener URL real (PROTEGIDO)
+// TOKENS EN LOTE (LISTAS DE TEMPORADA Y AUTOPLAY)
+// Cada episodio vence BATCH_TOKEN_STAGGER segundos después del anterior: el token del
+// episodio N sigue vigente cuando el autoplay llega a él. El refreshToken renueva los
+// tokens desde el episodio en curso sin volver a pedir la temporada completa.
+// ========================================
+const MAX_BATCH_EPISODES = parseInt(process.env.MAX_BATCH_EPISODES || '26');
+const BATCH_TOKEN_STAGGER = parseInt(process.env.BATCH_TOKEN_STAGGER || '1500'); // ~ un episodio de 24 min
+const BATCH_MODES = ['tokens', 'urls'];
+
+// Episodios publicados de `season` entre fromEpisode y toEpisode, como mucho MAX_BATCH_EPISODES
+function batchEpisodes(season, fromEpisode, toEpisode) {
+  return season.episodes
+    .filter(ep => ep.episodeNumber >= fromEpisode && ep.episodeNumber <= toEpisode && isPublished(ep))
+    .sort((a, b) => a.episodeNumber - b.episodeNumber)
+    .slice(0, MAX_BATCH_EPISODES);
+}
+
+// El middleware ya cobró la petición como un token: faltan los del resto del lote
+function chargeBatch(req, res, episodes) {
+  return chargeRateLimit(TOKEN_IP_LIMIT, req, res, episodes.length - 1);
+}
+
+// Firma los tokens de `episodes`. rangeStart/rangeEnd = rango original que puede renovar el refreshToken
+function issueBatch(req, res, anime, season, episodes, { rangeStart, rangeEnd, variant, mode }) {
+  const baseExpires = parseInt(process.env.TOKEN_EXPIRES || '300');
+  const binding = clientBinding(req);
+  
+  const items = episodes.map((episode, index) => {
+    const episodeId = formatEpisodeId(anime.id, season.seasonNumber, episode.episodeNumber);
+    // Si el episodio no tiene la variante pedida se reproduce su variante principal
+    const selectedVariant = pickVariant(episode, variant) || pickVariant(episode);
+    const expiresIn = baseExpires + index * BATCH_TOKEN_STAGGER;
+    const token = generateStreamToken(episodeId, { variant: selectedVariant, binding, expiresIn });
+    
+    // Solo el primer episodio: el resto del lote se reproduce con su token y la cookie
+    // del siguiente llega con el refresh (no se mandan decenas de Set-Cookie)
+    if (index === 0) setPlaybackCookie(res, episodeId, { variant: selectedVariant, binding });
+    
+    return {
+      episodeId,
+      episodeNumber: episode.episodeNumber,
+      name: episode.name,
+      format: episode.format || 'mp4',
+      variant: describeVariant(selectedVariant),
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      ...(mode === 'urls'
+        ? { url: `/api/proxy/video/${encodeURIComponent(episodeId)}?token=${token}` }
+        : { token })
+    };
+  });
+  
+  // El refresh vive hasta que vence el último token del lote
+  const refreshExpiresIn = baseExpires + Math.max(items.length - 1, 0) * BATCH_TOKEN_STAGGER;
+  const refreshToken = signToken(
+    {
+      typ: 'batch-refresh',
+      animeId: anime.id,
+      seasonNumber: season.seasonNumber,
+      fromEpisode: rangeStart,
+      toEpisode: rangeEnd,
+      ...(variant && { variant }),
+      mode,
+      ...(binding && { cb: binding }),
+      jti: crypto.randomUUID()
+    },
+    { expiresIn: refreshExpiresIn }
+  );
+  
+  return {
+    success: true,
+    animeId: anime.id,
+    animeName: anime.name,
+    seasonNumber: season.seasonNumber,
+    mode,
+    episodes: items,
+    refreshToken,
+    refreshExpiresInSeconds: refreshExpiresIn
+  };
+}
+
+function isEpisodeNumber(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
 // ========================================
-app.get('/api/stream/:episodeId', async (req, res) => {
+// ENDPOINT 2B: Tokens en lote para una temporada o un rango de episodios
+// Body: { animeId, season, fromEpisode?, toEpisode?, variant?, mode?: 'tokens' | 'urls' }
+// ========================================
+app.post('/api/stream/tokens', tokenIssueLimits, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    const { animeId, season: seasonNumber, variant, mode = 'tokens' } = req.body;
+    const fromEpisode = req.body.fromEpisode ?? 1;
+    const toEpisode = req.body.toEpisode ?? Number.MAX_SAFE_INTEGER;
     
-    if (!token) {
-      return res.status(401).json({ success: false, error: 'Token requerido' });
+    if (!animeId || typeof animeId !== 'string') {
+      return res.status(400).json({ success: false, error: 'ID de anime requerido' });
     }
     
-    // Verificar token JWT
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (e) {
-      return res.status(403).json({ success: false, error: 'Token inválido o expirado' });
+    if (!isEpisodeNumber(seasonNumber)) {
+      return res.status(400).json({ success: false, error: 'Temporada requerida (número entero)' });
     }
     
-    // Buscar episodio (usar _ como separador)
-    const [animeId, seasonNum, episodeNum] = decoded.episodeId.split('_');
+    if (!isEpisodeNumber(fromEpisode) || !isEpisodeNumber(toEpisode) || fromEpisode > toEpisode) {
+      return res.status(400).json({ success: false, error: 'Rango de episodios inválido' });
+    }
     
-    if (!animeId || !seasonNum || !episodeNum) {
-      console.error('❌ ID de episodio inválido:', decoded.episodeId);
-      return res.status(400).json({ success: false, error: 'ID de episodio inválido' });
+    if (variant !== undefined && !isVariant(variant)) {
+      return res.status(400).json({ success: false, error: 'Variante inválida', allowedVariants: Object.keys(VARIANTS) });
     }
     
-    console.log('🔍 Buscando episodio:', { animeId, seasonNum, episodeNum });
+    if (!BATCH_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: 'Modo inválido', allowedModes: BATCH_MODES });
+    }
+    
+    if (!signingKey()) {
+      console.error('❌ No hay ninguna clave JWT activa: configura JWT_SECRET o JWT_KEYS');
+      return res.status(500).json({ success: false, error: 'Error de configuración del servidor' });
+    }
     
     const anime = await Anime.findOne({ id: animeId });
     
     if (!anime) {
-      console.error(`❌ Anime no encontrado: ${animeId}`);
       return res.status(404).json({ success: false, error: 'Anime no encontrado' });
     }
     
-    const season = anime.seasons.find(s => s.seasonNumber.toString() === seasonNum);
-    const episode = season?.episodes.find(e => e.episodeNumber.toString() === episodeNum);
+    const season = anime.seasons.find(s => s.seasonNumber === seasonNumber);
+    
+    if (!season) {
+      return res.status(404).json({ success: false, error: 'Temporada no encontrada' });
+    }
+    
+    const episodes = batchEpisodes(season, fromEpisode, toEpisode);
+    
+    if (episodes.length === 0) {
+      return res.status(404).json({ success: false, error: 'No hay episodios publicados en ese rango' });
+    }
+    
+    if (!(await chargeBatch(req, res, episodes))) return;
+    
+    ensureSessionCookie(req, res);
+    res.json(issueBatch(req, res, anime, season, episodes, { rangeStart: fromEpisode, rangeEnd: toEpisode, variant, mode }));
+  } catch (error) {
+    console.error('❌ Error en /api/stream/tokens:', error);
+    res.status(500).json({ success: false, error: 'Error al generar tokens' });
+  }
+});
+
+// ========================================
+// ENDPOINT 2C: Renovar un lote desde el episodio en curso
+// Body: { refreshToken, fromEpisode } -> lote nuevo (fromEpisode..fin del rango original) con otro refreshToken
+// ========================================
+app.post('/api/stream/tokens/refresh', tokenIssueLimits, async (req, res) => {
+  try {
+    const { refreshToken, fromEpisode } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'refreshToken requerido' });
+    }
+    
+    if (!isEpisodeNumber(fromEpisode)) {
+      return res.status(400).json({ success: false, error: 'fromEpisode requerido (número entero)' });
+    }
+    
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken);
+    } catch (e) {
+      return res.status(403).json({ success: false, error: 'refreshToken inválido o expirado' });
+    }
+    
+    if (decoded.typ !== 'batch-refresh' || !decoded.jti) {
+      return res.status(403).json({ success: false, error: 'refreshToken inválido o expirado' });
+    }
     
-    if (!episode) {
-      console.error(`❌ Episodio no encontrado: ${animeId} - Temporada ${seasonNum} - Episodio ${episodeNum}`);
-      return res.status(404).json({ success: false, error: 'Episodio no encontrado' });
+    if (!matchesClientBinding(decoded, req)) {
+      return res.status(403).json({ success: false, error: 'Token emitido para otro cliente' });
     }
     
-    // Devolver URL del video
+    if (fromEpisode < decoded.fromEpisode || fromEpisode > decoded.toEpisode) {
+      return res.status(400).json({ success: false, error: 'Rango de episodios inválido' });
+    }
+    
+    const anime = await Anime.findOne({ id: decoded.animeId });
+    const season = anime?.seasons.find(s => s.seasonNumber === decoded.seasonNumber);
+    
+    if (!season) {
+      return res.status(404).json({ success: false, error: 'Temporada no encontrada' });
+    }
+    
+    const episodes = batchEpisodes(season, fromEpisode, decoded.toEpisode);
+    
+    if (episodes.length === 0) {
+      return res.status(404).json({ success: false, error: 'No hay episodios publicados en ese rango' });
+    }
+    
+    if (!(await chargeBatch(req, res, episodes))) return;
+    
+    // Cada refreshToken se canjea una sola vez, también desde el mismo cliente: cada canje emite
+    // otro lote y otro refreshToken. Una sesión nueva por canje = el jti no admite ninguna repetición
+    const firstUse = await tokenStore.consume(decoded.jti, crypto.randomUUID(), {
+      maxUses: 1,
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+    
+    if (!firstUse) {
+      return res.status(403).json({ success: false, error: 'Token ya utilizado' });
+    }
+    
+    res.json(issueBatch(req, res, anime, season, episodes, {
+      rangeStart: decoded.fromEpisode,
+      rangeEnd: decoded.toEpisode,
+      variant: decoded.variant,
+      mode: decoded.mode
+    }));
+  } catch (error) {
+    console.error('❌ Error en /api/stream/tokens/refresh:', error);
+    res.status(500).json({ success: false, error: 'Error al renovar tokens' });
+  }
+});
+
+// ========================================
+// ENDPOINT 3: Obtener URL real (PROTEGIDO)
+// ========================================
+app.get('/api/stream/:episodeId', mediaLimits, async (req, res) => {
+  try {
+    // Verificar token JWT (mismo registro anti-replay que el proxy: un token copiado no saca la URL real)
+    const decoded = await authorizeStreamToken(req, res, req.headers.authorization?.split(' ')[1]);
+    if (!decoded) return;
+    
+    // Buscar episodio
+    console.log('🔍 Buscando episodio:', decoded.episodeId);
+    
+    const lookup = await resolveEpisode(decoded.episodeId);
+    
+    if (!lookup.ok) {
+      console.error(`❌ ${lookup.error}: ${decoded.episodeId}`);
+      return res.status(lookup.status).json({ success: false, error: lookup.error });
+    }
+    
+    const { anime, season, episode } = lookup;
+    
+    if (!isPublished(episode)) {
+      return res.status(404).json({ success: false, error: 'Episodio sin fuentes disponibles' });
+    }
+    
+    const variant = pickVariant(episode, req.query.variant || decoded.variant);
+    if (!variant) {
+      return res.status(400).json({ success: false, error: 'Variante no disponible', availableVariants: getEpisodeVariants(episode) });
+    }
+    
+    // Devolver URL de la fuente más sana (ya resuelta, sin pasar por el acortador)
+    const [source] = rankSources(episode, variant);
+    
+    const videoUrl = await getPlayableUrl(anime, season, episode, source);
+    
     res.json({ 
       success: true, 
-      videoUrl: episode.videoUrl,
+      videoUrl,
+      format: source.format || episode.format || 'mp4',
+      variant: describeVariant(variant),
       animeName: anime.name,
       episodeNumber: episode.episodeNumber
     });
@@ -250,81 +993,617 @@ app.get('/api/stream/:episodeId', async (req, res) => {
 });
 
 // ========================================
-// ENDPOINT 4: Proxy de video (OCULTA LA URL REAL + VERIFICACIÓN DE REFERER)
+// TRANSMITIR DESDE UNA FUENTE (MP4 o HLS, con reintento si la URL resuelta caducó)
+// Registra en la fuente si funcionó o no para ordenar las siguientes reproducciones
+// ========================================
+// parent: token o sesión de reproducción que autorizó la petición (sus URIs HLS heredan su jti)
+async function streamFromSource(req, res, anime, season, episode, source, parent) {
+  const episodeId = formatEpisodeId(anime.id, season.seasonNumber, episode.episodeNumber);
+  const hlsOptions = { binding: clientBinding(req), jti: parent.jti, uses: parent.uses };
+  
+  // HLS: se envía la playlist reescrita; MP4: se transmite el archivo por rangos
+  const send = (source.format || episode.format) === 'hls'
+    ? url => proxyPlaylist(req, res, url, (uri, isPlaylist) => hlsProxyUrl(episodeId, uri, isPlaylist, hlsOptions))
+    : url => proxyVideo(req, res, url);
+  
+  const usedCache = isFresh(source);
+  let result = await send(await getPlayableUrl(anime, season, episode, source));
+  
+  // La URL resuelta en caché pudo caducar antes de tiempo: resolver de nuevo y reintentar una vez
+  if (!result.ok && usedCache) {
+    result = await send(await getPlayableUrl(anime, season, episode, source, { force: true }));
+  }
+  
+  const saveStatus = (status, details) => 
+    markSourceStatus(anime.id, season.seasonNumber, episode, source.url, status, details)
+      .catch(error => console.warn(`⚠️  No se pudo guardar el estado de ${source.url}: ${error.message}`));
+  
+  if (!result.ok) {
+    const reason = result.status ? `HTTP ${result.status}` : result.error.message;
+    console.warn(`⚠️  Fuente caída (${source.host}): ${reason}, probando la siguiente`);
+    saveStatus('down', { lastError: reason });
+  } else if (!result.aborted && source.status !== 'ok') {
+    saveStatus('ok', { lastError: null });
+  }
+  
+  return result;
+}
+
+// ========================================
+// VERIFICACIÓN DE REFERER PARA LOS PROXIES DE VIDEO (PROTECCIÓN ADICIONAL)
+// ========================================
+function requireAllowedReferer(req, res, next) {
+  const referer = req.headers.referer || req.headers.origin;
+  
+  if (!referer) {
+    console.warn('⚠️  Acceso denegado: solicitud sin referer');
+    return res.status(403).json({ success: false, error: 'Acceso denegado' });
+  }
+
+  let refererOrigin;
+  try {
+    refererOrigin = new URL(referer).origin;
+  } catch (e) {
+    console.warn('⚠️  Acceso denegado: referer inválido');
+    return res.status(403).json({ success: false, error: 'Acceso denegado' });
+  }
+
+  // 🔐 DOMINIOS AUTORIZADOS: ALLOWED_ORIGINS / origins.json (ver origin-policy.js)
+  if (!isAllowedOrigin(refererOrigin)) {
+    console.warn(`⚠️  Acceso denegado: referer no autorizado (${refererOrigin})`);
+    return res.status(403).json({ success: false, error: 'Acceso denegado' });
+  }
+  
+  req.refererOrigin = refererOrigin;
+  next();
+}
+
+// ========================================
+// ACCESO AL PROXY Y A LOS SUBTÍTULOS: COOKIE DE SESIÓN DE REPRODUCCIÓN O REFERER AUTORIZADO
+// Con cookie válida (ver playback-session.js) no hace falta referer ni ?token=
+// ========================================
+function requirePlaybackAccess(req, res, next) {
+  const session = readPlaybackSession(req, req.params.episodeId);
+  
+  if (session) {
+    req.playbackSession = session;
+    return next();
+  }
+  
+  requireAllowedReferer(req, res, next);
+}
+
+// ========================================
+// ENDPOINT 4: Proxy de video por rangos (OCULTA LA URL REAL + REFERER O COOKIE DE SESIÓN)
 // ========================================
-app.get('/api/proxy/video/:episodeId', async (req, res) => {
+app.get('/api/proxy/video/:episodeId', mediaLimits, requirePlaybackAccess, async (req, res) => {
   try {
-    // 🔒 VERIFICACIÓN DE REFERER (PROTECCIÓN ADICIONAL)
-    const referer = req.headers.referer || req.headers.origin;
+    // 🍪 Con sesión de reproducción la cookie ya identifica el episodio y el cliente;
+    // si no, 🔑 VERIFICACIÓN DE TOKEN JWT
+    const decoded = req.playbackSession || await authorizeStreamToken(req, res, req.query.token);
+    if (!decoded) return;
     
-    if (!referer) {
-      console.warn('⚠️  Acceso denegado: solicitud sin referer');
-      return res.status(403).json({ success: false, error: 'Acceso denegado' });
+    // 🔍 BUSCAR EPISODIO
+    const lookup = await resolveEpisode(decoded.episodeId);
+    
+    if (!lookup.ok) {
+      console.error(`❌ ${lookup.error}: ${decoded.episodeId}`);
+      return res.status(lookup.status).json({ success: false, error: lookup.error });
     }
+    
+    const { anime, season, episode } = lookup;
+    
+    if (!isPublished(episode)) {
+      return res.status(404).json({ success: false, error: 'Episodio sin fuentes disponibles' });
+    }
+    
+    // 🎧 VARIANTE DE AUDIO (?variant= o la elegida al pedir el token)
+    const variant = pickVariant(episode, req.query.variant || decoded.variant);
+    if (!variant) {
+      return res.status(400).json({ success: false, error: 'Variante no disponible', availableVariants: getEpisodeVariants(episode) });
+    }
+    
+    // 📡 TRANSMITIR EL VIDEO A TRAVÉS DEL BACKEND (LA URL REAL NUNCA SE EXPONE)
+    console.log(`✅ Proxy: ${anime.name} S${season.seasonNumber}E${episode.episodeNumber} [${variant}] solicitado desde ${req.refererOrigin || 'sesión de reproducción'} (${req.headers.range || 'completo'})`);
+    
+    // 🔁 PROBAR LAS FUENTES DE LA MÁS SANA A LA MENOS SANA
+    let result = { ok: false };
+    for (const source of rankSources(episode, variant)) {
+      result = await streamFromSource(req, res, anime, season, episode, source, decoded);
+      if (result.ok) break;
+    }
+    
+    if (!result.ok) {
+      console.error(`❌ Ninguna fuente disponible para ${decoded.episodeId}`);
+      return res.status(502).json({ success: false, error: 'Video no disponible temporalmente' });
+    }
+    
+  } catch (error) {
+    console.error('❌ Error en proxy de video:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ success: false, error: 'Error al procesar video' });
+  }
+});
 
-    let refererOrigin;
+// ========================================
+// ENDPOINT 4B: Variantes, segmentos y claves HLS (mismas comprobaciones que el proxy: referer o cookie)
+// El token de cada URI lo genera hlsProxyUrl al reescribir la playlist. Con cookie de sesión basta
+// la firma; sin ella, el jti heredado se consume como el del token principal (anti-replay)
+// ========================================
+app.get('/api/proxy/video/:episodeId/hls', mediaLimits, requirePlaybackAccess, async (req, res) => {
+  try {
+    const token = req.query.token;
+    const decoded = await authorizeStreamToken(req, res, token, {
+      type: 'hls',
+      episodeId: req.params.episodeId,
+      consume: !req.playbackSession
+    });
+    if (!decoded) return;
+    
+    let upstreamUrl;
     try {
-      refererOrigin = new URL(referer).origin;
+      upstreamUrl = openUrl(decoded.src, tokenSecret(token));
     } catch (e) {
-      console.warn('⚠️  Acceso denegado: referer inválido');
-      return res.status(403).json({ success: false, error: 'Acceso denegado' });
+      return res.status(403).json({ success: false, error: 'Token inválido o expirado' });
     }
+    
+    const hlsOptions = { binding: decoded.cb, jti: decoded.jti, uses: decoded.uses };
+    const result = decoded.playlist
+      ? await proxyPlaylist(req, res, upstreamUrl, (uri, isPlaylist) => hlsProxyUrl(decoded.episodeId, uri, isPlaylist, hlsOptions))
+      : await proxyVideo(req, res, upstreamUrl);
+    
+    if (!result.ok) {
+      console.error(`❌ Segmento HLS no disponible para ${decoded.episodeId}:`, result.status || result.error.message);
+      return res.status(502).json({ success: false, error: 'Video no disponible temporalmente' });
+    }
+    
+  } catch (error) {
+    console.error('❌ Error en proxy HLS:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ success: false, error: 'Error al procesar video' });
+  }
+});
 
-    // 🔐 DOMINIOS AUTORIZADOS (AGREGA TU DOMINIO DE PRODUCCIÓN AQUÍ)
-    const allowedOrigins = [
-      'https://streanime-2-frontend.vercel.app',  // Tu frontend en producción
-      'http://localhost:3000',                     // Para desarrollo local
-      'https://streanime-2.vercel.app'             // Si usas mismo dominio (opcional)
-    ];
+// ========================================
+// ENDPOINT 5: Detalle de un anime (temporadas y episodios, sin URLs)
+// ========================================
+app.get('/api/anime/:id', async (req, res) => {
+  try {
+    const anime = await Anime.findOne({ id: req.params.id })
+      .select(PUBLIC_ANIME_FIELDS)
+      .lean();
+    
+    if (!anime) {
+      return res.status(404).json({ success: false, error: 'Anime no encontrado' });
+    }
+    
+    res.json({ success: true, anime: serializeAnime(anime) });
+  } catch (error) {
+    console.error('❌ Error al cargar anime:', error);
+    res.status(500).json({ success: false, error: 'Error al cargar anime' });
+  }
+});
 
-    if (!allowedOrigins.includes(refererOrigin)) {
-      console.warn(`⚠️  Acceso denegado: referer no autorizado (${refererOrigin})`);
-      return res.status(403).json({ success: false, error: 'Acceso denegado' });
+// ========================================
+// ENDPOINT 6: Búsqueda de texto (nombre, sinopsis y géneros)
+// Parámetros: ?q=frieren&page=1&limit=24&fields=summary|full
+// Sin distinguir mayúsculas ni acentos: "accion" encuentra "Acción"
+// ========================================
+app.get('/api/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    
+    if (q.length < 2) {
+      return res.status(400).json({ success: false, error: 'La búsqueda debe tener al menos 2 caracteres' });
     }
     
-    // 🔑 VERIFICACIÓN DE TOKEN JWT
-    const token = req.query.token;
+    const fields = req.query.fields || 'summary';
     
-    if (!token) {
-      return res.status(401).json({ success: false, error: 'Token requerido' });
+    if (!FIELD_MODES.includes(fields)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Modo de campos inválido', 
+        allowedFields: FIELD_MODES 
+      });
     }
     
-    let decoded;
+    const pageInfo = parsePagination(req.query);
+    
+    // 1) Búsqueda por palabras completas con el índice de texto (ordenada por relevancia)
+    let match = { $text: { $search: q } };
+    let relevance = { $meta: 'textScore' };
+    let total = await Anime.countDocuments(match);
+    
+    // 2) Sin resultados: buscar fragmentos del nombre ("jujut" -> "Jujutsu kaisen")
+    if (total === 0) {
+      match = { name: accentInsensitiveRegex(q) };
+      relevance = { $literal: 0 };
+      total = await Anime.countDocuments(match);
+    }
+    
+    const projection = fields === 'summary' ? SUMMARY_PROJECTION : PUBLIC_ANIME_PROJECTION;
+    
+    const animes = await Anime.aggregate([
+      { $match: match },
+      { $addFields: { relevance } },
+      { $sort: { relevance: -1, name: 1, _id: 1 } },
+      { $skip: pageInfo.skip },
+      { $limit: pageInfo.limit },
+      { $project: { ...projection, relevance: 1 } }
+    ]);
+    
+    const processed = fields === 'summary'
+      ? animes
+      : animes.map(anime => ({ ...serializeAnime(anime), relevance: anime.relevance }));
+    
+    res.json({ 
+      success: true, 
+      query: q, 
+      processed, 
+      fields, 
+      pagination: buildPagination(req, pageInfo, total) 
+    });
+  } catch (error) {
+    console.error('❌ Error en búsqueda:', error);
+    res.status(500).json({ success: false, error: 'Error al buscar animes' });
+  }
+});
+
+// ========================================
+// ÚLTIMO EPISODIO DISPONIBLE DE UN ANIME
+// ========================================
+function findLatestEpisode(anime) {
+  let latest = null;
+  
+  for (const season of anime.seasons || []) {
+    for (const ep of season.episodes) {
+      if (!latest ||
+          season.seasonNumber > latest.seasonNumber ||
+          (season.seasonNumber === latest.seasonNumber && ep.episodeNumber > latest.episodeNumber)) {
+        latest = {
+          episodeId: `${anime.id}_${season.seasonNumber}_${ep.episodeNumber}`,
+          seasonNumber: season.seasonNumber,
+          episodeNumber: ep.episodeNumber,
+          name: ep.name,
+          fileName: ep.fileName,
+          addedAt: ep.addedAt
+        };
+      }
+    }
+  }
+  
+  return latest;
+}
+
+// ========================================
+// ENDPOINT 7: Calendario semanal de emisión (lunes a domingo)
+// Parámetros: ?today=true&tz=America/Mexico_City (por defecto SCHEDULE_TIMEZONE)
+// ========================================
+app.get('/api/schedule', async (req, res) => {
+  try {
+    const timezone = req.query.tz || SCHEDULE_TIMEZONE;
+    
+    let today;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      today = currentWeekday(timezone);
     } catch (e) {
-      return res.status(403).json({ success: false, error: 'Token inválido o expirado' });
+      return res.status(400).json({ success: false, error: `Zona horaria inválida: ${timezone}` });
     }
     
-    // 🔍 BUSCAR EPISODIO
-    const [animeId, seasonNum, episodeNum] = decoded.episodeId.split('_');
+    const animes = await Anime.find({ isAiring: true })
+      .select('id name day image thumbnail score seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.name seasons.episodes.fileName seasons.episodes.addedAt')
+      .sort({ name: 1 })
+      .lean();
+    
+    const days = WEEKDAYS.map(weekday => ({ day: weekday.key, label: weekday.label, animes: [] }));
+    const unscheduled = [];
     
-    if (!animeId || !seasonNum || !episodeNum) {
-      return res.status(400).json({ success: false, error: 'ID de episodio inválido' });
+    for (const anime of animes) {
+      const entry = {
+        id: anime.id,
+        name: anime.name,
+        day: anime.day,
+        image: anime.image,
+        thumbnail: anime.thumbnail,
+        score: anime.score || 0,
+        latestEpisode: findLatestEpisode(anime)
+      };
+      
+      const weekday = findWeekday(anime.day);
+      if (weekday) {
+        days.find(d => d.day === weekday.key).animes.push(entry);
+      } else {
+        unscheduled.push(entry);
+      }
     }
     
-    const anime = await Anime.findOne({ id: animeId });
+    if (req.query.today === 'true') {
+      return res.json({ 
+        success: true, 
+        timezone, 
+        today: today.key, 
+        days: days.filter(d => d.day === today.key) 
+      });
+    }
+    
+    res.json({ success: true, timezone, today: today.key, days, unscheduled });
+  } catch (error) {
+    console.error('❌ Error al cargar calendario:', error);
+    res.status(500).json({ success: false, error: 'Error al cargar calendario' });
+  }
+});
+
+// ========================================
+// ENDPOINT 8: Calendario de emisión en formato iCalendar (.ics)
+// Suscribible desde Google Calendar, Thunderbird, etc.
+// ========================================
+const CALENDAR_FIELDS = 'id name year day isAiring synopsis';
+
+function sendCalendar(res, animes, name) {
+  const calendar = buildScheduleCalendar(animes, {
+    name,
+    animeUrl: anime => frontendAnimeUrl(anime.id)
+  });
+  
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="calendario.ics"');
+  res.send(calendar);
+}
+
+app.get('/api/schedule.ics', async (req, res) => {
+  try {
+    const animes = await Anime.find({ isAiring: true })
+      .select(CALENDAR_FIELDS)
+      .sort({ name: 1 })
+      .lean();
+    
+    sendCalendar(res, animes, 'StreAnime - Calendario de emisión');
+  } catch (error) {
+    console.error('❌ Error al generar calendario:', error);
+    res.status(500).json({ success: false, error: 'Error al generar calendario' });
+  }
+});
+
+// Si el anime ya terminó se devuelve un calendario vacío para que los suscriptores lo limpien
+app.get('/api/anime/:id/schedule.ics', async (req, res) => {
+  try {
+    const anime = await Anime.findOne({ id: req.params.id })
+      .select(CALENDAR_FIELDS)
+      .lean();
+    
+    if (!anime) {
+      return res.status(404).json({ success: false, error: 'Anime no encontrado' });
+    }
+    
+    sendCalendar(res, [anime], `StreAnime - ${anime.name}`);
+  } catch (error) {
+    console.error('❌ Error al generar calendario:', error);
+    res.status(500).json({ success: false, error: 'Error al generar calendario' });
+  }
+});
+
+// ========================================
+// ÚLTIMOS EPISODIOS AÑADIDOS (todas las series)
+// ========================================
+const MAX_LATEST_EPISODES = 100;
+
+// animeId opcional: limita el resultado a un solo anime
+async function findLatestEpisodes({ limit, animeId }) {
+  const episodes = await Anime.aggregate([
+    ...(animeId ? [{ $match: { id: animeId } }] : []),
+    { $unwind: '$seasons' },
+    { $unwind: '$seasons.episodes' },
+    { $match: { 'seasons.episodes.addedAt': { $ne: null } } },
+    { $sort: { 'seasons.episodes.addedAt': -1, 'seasons.seasonNumber': -1, 'seasons.episodes.episodeNumber': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        animeId: '$id',
+        animeName: '$name',
+        image: '$image',
+        thumbnail: '$thumbnail',
+        seasonNumber: '$seasons.seasonNumber',
+        episodeNumber: '$seasons.episodes.episodeNumber',
+        name: '$seasons.episodes.name',
+        fileName: '$seasons.episodes.fileName',
+        addedAt: '$seasons.episodes.addedAt'
+      }
+    }
+  ]);
+  
+  return episodes.map(ep => ({
+    episodeId: `${ep.animeId}_${ep.seasonNumber}_${ep.episodeNumber}`,
+    ...ep
+  }));
+}
+
+// ========================================
+// ENDPOINT 9: Feed de últimos episodios
+// Parámetros: ?limit=20 (máximo 100)
+// ========================================
+app.get('/api/episodes/latest', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_LATEST_EPISODES);
+    const episodes = await findLatestEpisodes({ limit });
+    
+    res.json({ success: true, episodes });
+  } catch (error) {
+    console.error('❌ Error al cargar últimos episodios:', error);
+    res.status(500).json({ success: false, error: 'Error al cargar últimos episodios' });
+  }
+});
+
+// ========================================
+// ENDPOINT 10: Feeds RSS 2.0 / Atom de episodios nuevos
+// /feeds/latest.xml y /feeds/anime/:id.xml (?format=atom para Atom)
+// ========================================
+const FEED_SIZE = 50;
+const FEED_FORMATS = ['rss', 'atom'];
+
+function sendFeed(req, res, feed, episodes) {
+  const format = req.query.format || 'rss';
+  const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const episodeUrl = ep => frontendEpisodeUrl(ep.animeId, ep.seasonNumber, ep.episodeNumber);
+  
+  if (format === 'atom') {
+    res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+    return res.send(buildAtom({ ...feed, selfUrl }, episodes, episodeUrl));
+  }
+  
+  res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+  res.send(buildRss({ ...feed, selfUrl }, episodes, episodeUrl));
+}
+
+function validateFeedFormat(req, res, next) {
+  if (req.query.format && !FEED_FORMATS.includes(req.query.format)) {
+    return res.status(400).json({ success: false, error: 'Formato de feed inválido', allowedFormats: FEED_FORMATS });
+  }
+  next();
+}
+
+app.get('/feeds/latest.xml', validateFeedFormat, async (req, res) => {
+  try {
+    const episodes = await findLatestEpisodes({ limit: FEED_SIZE });
+    
+    sendFeed(req, res, {
+      id: 'tag:streanime,2025:feed/latest',
+      title: 'StreAnime - Nuevos episodios',
+      description: 'Últimos episodios añadidos a StreAnime',
+      link: FRONTEND_BASE_URL
+    }, episodes);
+  } catch (error) {
+    console.error('❌ Error al generar feed:', error);
+    res.status(500).json({ success: false, error: 'Error al generar feed' });
+  }
+});
+
+app.get('/feeds/anime/:id.xml', validateFeedFormat, async (req, res) => {
+  try {
+    const anime = await Anime.findOne({ id: req.params.id }).select('id name').lean();
     
     if (!anime) {
-      console.error(`❌ Anime no encontrado: ${animeId}`);
       return res.status(404).json({ success: false, error: 'Anime no encontrado' });
     }
     
-    const season = anime.seasons.find(s => s.seasonNumber.toString() === seasonNum);
-    const episode = season?.episodes.find(e => e.episodeNumber.toString() === episodeNum);
+    const episodes = await findLatestEpisodes({ limit: FEED_SIZE, animeId: anime.id });
+    
+    sendFeed(req, res, {
+      id: `tag:streanime,2025:feed/anime/${anime.id}`,
+      title: `StreAnime - ${anime.name}`,
+      description: `Nuevos episodios de ${anime.name}`,
+      link: frontendAnimeUrl(anime.id)
+    }, episodes);
+  } catch (error) {
+    console.error('❌ Error al generar feed:', error);
+    res.status(500).json({ success: false, error: 'Error al generar feed' });
+  }
+});
+
+// ========================================
+// AUTENTICACIÓN DE ADMINISTRADOR (Authorization: Bearer ADMIN_TOKEN)
+// ========================================
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  
+  if (!adminToken) {
+    return res.status(503).json({ success: false, error: 'Administración no configurada' });
+  }
+  
+  const provided = Buffer.from(req.headers.authorization?.split(' ')[1] || '');
+  const expected = Buffer.from(adminToken);
+  
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ success: false, error: 'No autorizado' });
+  }
+  
+  next();
+}
+
+// ========================================
+// ENDPOINT 11: Salud de enlaces (ADMIN)
+// POST /api/admin/health/check lanza la comprobación en segundo plano (?animeId= opcional)
+// GET /api/admin/health/links lista episodios rotos o lentos agrupados por anime
+// En Vercel usar `npm run check-links` (GitHub Actions): la función no sigue viva tras responder
+// ========================================
+let linkCheckJob = null;
+
+app.post('/api/admin/health/check', requireAdmin, (req, res) => {
+  if (linkCheckJob && !linkCheckJob.finishedAt) {
+    return res.status(409).json({ success: false, error: 'Ya hay una comprobación en curso', job: linkCheckJob });
+  }
+  
+  linkCheckJob = { animeId: req.query.animeId || null, startedAt: new Date(), finishedAt: null };
+  const job = linkCheckJob;
+  
+  checkAllLinks({ animeId: req.query.animeId })
+    .then(summary => {
+      Object.assign(job, summary);
+      console.log(`🩺 Comprobación de enlaces terminada: ${summary.ok} ok, ${summary.down} caídas, ${summary.slow} lentas`);
+    })
+    .catch(error => {
+      job.finishedAt = new Date();
+      job.error = error.message;
+      console.error('❌ Error en la comprobación de enlaces:', error);
+    });
+  
+  res.status(202).json({ success: true, job });
+});
+
+app.get('/api/admin/health/links', requireAdmin, async (req, res) => {
+  try {
+    const slowMs = parseInt(req.query.slowMs) || SLOW_THRESHOLD_MS;
+    const animes = await findUnhealthyEpisodes({ slowMs });
+    
+    res.json({ 
+      success: true, 
+      slowMs, 
+      job: linkCheckJob, 
+      totalEpisodes: animes.reduce((sum, anime) => sum + anime.episodes.length, 0), 
+      animes 
+    });
+  } catch (error) {
+    console.error('❌ Error al generar reporte de enlaces:', error);
+    res.status(500).json({ success: false, error: 'Error al generar reporte de enlaces' });
+  }
+});
+
+// ========================================
+// ENDPOINT 12: Subtítulos en WebVTT (SRT se convierte al vuelo)
+// Misma verificación que el proxy de video: referer + ?token= del episodio, o cookie de sesión
+// ========================================
+app.get('/api/subtitles/:episodeId/:lang.vtt', mediaLimits, requirePlaybackAccess, async (req, res) => {
+  try {
+    // 🍪 La cookie de sesión ya está comprobada para este episodio y este cliente
+    const decoded = req.playbackSession ||
+      await authorizeStreamToken(req, res, req.query.token, { episodeId: req.params.episodeId });
+    if (!decoded) return;
     
-    if (!episode) {
-      console.error(`❌ Episodio no encontrado: ${animeId} - Temporada ${seasonNum} - Episodio ${episodeNum}`);
-      return res.status(404).json({ success: false, error: 'Episodio no encontrado' });
+    const lookup = await resolveEpisode(decoded.episodeId, {
+      select: 'seasons.seasonNumber seasons.episodes.episodeNumber seasons.episodes.subtitles',
+      lean: true
+    });
+    const track = lookup.episode?.subtitles?.find(t => t.lang === req.params.lang.toLowerCase());
+    
+    if (!track) {
+      return res.status(404).json({ success: false, error: 'Subtítulos no encontrados' });
     }
     
-    // 🔄 REDIRIGIR AL VIDEO (LA URL REAL NUNCA SE EXPONE)
-    console.log(`✅ Proxy: ${anime.name} S${seasonNum}E${episodeNum} solicitado desde ${refererOrigin}`);
-    res.redirect(302, episode.videoUrl);
+    let vtt;
+    try {
+      vtt = await fetchSubtitleAsVtt(track.url, track.format);
+    } catch (error) {
+      console.error(`❌ Subtítulos no disponibles para ${decoded.episodeId} (${track.lang}):`, error.message);
+      return res.status(502).json({ success: false, error: 'Subtítulos no disponibles temporalmente' });
+    }
     
+    res.set('Content-Type', 'text/vtt; charset=utf-8');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(vtt);
   } catch (error) {
-    console.error('❌ Error en proxy de video:', error);
-    res.status(500).json({ success: false, error: 'Error al procesar video' });
+    console.error('❌ Error al servir subtítulos:', error);
+    res.status(500).json({ success: false, error: 'Error al procesar subtítulos' });
   }
 });
 
@@ -0,0 +1,84 @@
+const fetch = require('node-fetch');
+
+// ========================================
+// SUBTÍTULOS (WebVTT / SRT)
+// ========================================
+const SUBTITLE_TIMEOUT_MS = parseInt(process.env.PROXY_UPSTREAM_TIMEOUT_MS || '15000');
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+
+const LANGUAGE_LABELS = {
+  'es': 'Español',
+  'es-419': 'Español (Latinoamérica)',
+  'es-es': 'Español (España)',
+  'en': 'English',
+  'pt': 'Português',
+  'pt-br': 'Português (Brasil)',
+  'fr': 'Français',
+  'it': 'Italiano',
+  'de': 'Deutsch',
+  'ja': '日本語'
+};
+
+function languageLabel(lang) {
+  return LANGUAGE_LABELS[String(lang).toLowerCase()] || lang;
+}
+
+// "0:01:02,5" / "00:01:02,500" -> "00:01:02.500" (WebVTT exige punto y horas de 2 dígitos)
+function toVttTimestamp(timestamp) {
+  const [time, fraction = '0'] = timestamp.trim().split(/[,.]/);
+  const [hours, minutes, seconds] = time.split(':');
+  return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.padStart(2, '0')}.${fraction.padEnd(3, '0').slice(0, 3)}`;
+}
+
+function srtToVtt(srt) {
+  const cues = srt
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .trim()
+    .split(/\n{2,}/)
+    .map((block) => {
+      const lines = block.split('\n');
+
+      // El índice numérico de SRT no hace falta en WebVTT
+      if (/^\d+$/.test(lines[0].trim()) && lines[1] && lines[1].includes('-->')) {
+        lines.shift();
+      }
+
+      const timing = lines[0] && lines[0].match(/^\s*(\S+)\s*-->\s*(\S+)(.*)$/);
+      if (!timing) return null;
+
+      lines[0] = `${toVttTimestamp(timing[1])} --> ${toVttTimestamp(timing[2])}${timing[3]}`;
+      return lines.join('\n');
+    })
+    .filter(Boolean);
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+// Muchos SRT de fansubs están en Windows-1252: si no es UTF-8 válido se lee como Latin-1
+function decodeSubtitle(buffer) {
+  const utf8 = buffer.toString('utf8');
+  return utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+}
+
+// Descarga una pista y la devuelve siempre como WebVTT
+async function fetchSubtitleAsVtt(url, format) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SUBTITLE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { redirect: 'follow', size: MAX_SUBTITLE_BYTES, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`El origen respondió ${response.status}`);
+    }
+
+    const text = decodeSubtitle(await response.buffer());
+    const isVtt = text.replace(/^\uFEFF/, '').startsWith('WEBVTT');
+
+    return format === 'srt' || !isVtt ? srtToVtt(text) : text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { languageLabel, srtToVtt, fetchSubtitleAsVtt };
@@ -0,0 +1,44 @@
+// ========================================
+// UTILIDADES DE TEXTO (ACENTOS Y EXPRESIONES REGULARES)
+// ========================================
+
+// "Sábado" -> "Sabado", "Acción" -> "Accion"
+function stripAccents(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cada letra acentuable acepta sus variantes: "accion" -> /acci[oóòöô]n/i
+const ACCENT_CLASSES = {
+  a: '[aáàäâã]',
+  e: '[eéèëê]',
+  i: '[iíìïî]',
+  o: '[oóòöôõ]',
+  u: '[uúùüû]',
+  n: '[nñ]',
+  c: '[cç]'
+};
+
+function accentInsensitivePattern(text) {
+  return stripAccents(text)
+    .toLowerCase()
+    .split('')
+    .map(char => ACCENT_CLASSES[char] || escapeRegex(char))
+    .join('');
+}
+
+// exact=true ancla la expresión al valor completo del campo
+function accentInsensitiveRegex(text, exact = false) {
+  const pattern = accentInsensitivePattern(text);
+  return new RegExp(exact ? `^${pattern}$` : pattern, 'i');
+}
+
+module.exports = {
+  stripAccents,
+  escapeRegex,
+  accentInsensitivePattern,
+  accentInsensitiveRegex
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// REGISTRO DE TOKENS DE STREAMING USADOS (ANTI-REPLAY)
+// Cada jti guarda las sesiones de reproducción que ya lo consumieron, hasta que expira el último
+// token que lo lleva (los tokens HLS heredan el jti del principal y viven más: expiresAt solo crece).
+// consume(jti, sessionId, { maxUses, expiresAt }) -> true si la sesión puede usar el token
+// STREAM_TOKEN_STORE=memory (por defecto, una sola instancia) o mongo (varias instancias / serverless)
+// ========================================
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const entries = new Map(); // jti -> { sessions: Set, expiresAt }
+
+  // Limpieza periódica de los tokens ya expirados; unref para no mantener vivo el proceso
+  setInterval(() => {
+    const now = Date.now();
+    for (const [jti, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(jti);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async consume(jti, sessionId, { maxUses, expiresAt }) {
+      let entry = entries.get(jti);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entry = { sessions: new Set(), expiresAt: expiresAt.getTime() };
+        entries.set(jti, entry);
+      }
+      entry.expiresAt = Math.max(entry.expiresAt, expiresAt.getTime());
+
+      if (entry.sessions.has(sessionId)) return true;
+      if (entry.sessions.size >= maxUses) return false;
+
+      entry.sessions.add(sessionId);
+      return true;
+    }
+  };
+}
+
+// Colección con índice TTL: MongoDB borra cada registro cuando expira su token
+const tokenUseSchema = new mongoose.Schema({
+  _id: String, // jti
+  sessions: [String],
+  expiresAt: { type: Date, expires: 0 }
+}, { versionKey: false });
+
+function createMongoStore() {
+  const TokenUse = mongoose.models.StreamTokenUse ||
+    mongoose.model('StreamTokenUse', tokenUseSchema, 'stream_token_uses');
+
+  return {
+    async consume(jti, sessionId, { maxUses, expiresAt }) {
+      // Atómico: solo se actualiza si la sesión ya estaba o si quedan usos libres.
+      // Si el jti existe y no cumple la condición, el upsert choca con el _id (E11000) = replay
+      try {
+        await TokenUse.updateOne(
+          {
+            _id: jti,
+            $or: [
+              { sessions: sessionId },
+              { [`sessions.${maxUses - 1}`]: { $exists: false } }
+            ]
+          },
+          {
+            $addToSet: { sessions: sessionId },
+            $max: { expiresAt }
+          },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    }
+  };
+}
+
+const STORES = { memory: createMemoryStore, mongo: createMongoStore };
+
+function createTokenStore(type = process.env.STREAM_TOKEN_STORE || 'memory') {
+  if (!STORES[type]) {
+    throw new Error(`STREAM_TOKEN_STORE desconocido: ${type} (usa ${Object.keys(STORES).join(' o ')})`);
+  }
+  return STORES[type]();
+}
+
+module.exports = { createTokenStore, createMemoryStore, createMongoStore };
@@ -0,0 +1,28 @@
+// ========================================
+// VARIANTES DE AUDIO DE UN EPISODIO (SUB / LATINO / CASTELLANO)
+// En data.js la variante va antes de la extensión: "Nombre 1x01.lat.mp4|url"
+// Sin etiqueta el episodio es la versión subtitulada
+// ========================================
+const VARIANTS = {
+  sub: { label: 'Sub', audio: 'ja', subtitleMode: 'subtitled' },
+  lat: { label: 'Latino', audio: 'es-419', subtitleMode: 'dubbed' },
+  cast: { label: 'Castellano', audio: 'es-ES', subtitleMode: 'dubbed' }
+};
+
+const DEFAULT_VARIANT = 'sub';
+
+function isVariant(key) {
+  return Object.prototype.hasOwnProperty.call(VARIANTS, key);
+}
+
+function describeVariant(key) {
+  return { key, ...VARIANTS[key] };
+}
+
+// Claves de variante presentes en una lista de fuentes, en el orden de VARIANTS
+function variantsOf(sources) {
+  const present = new Set(sources.map(src => src.variant || DEFAULT_VARIANT));
+  return Object.keys(VARIANTS).filter(key => present.has(key));
+}
+
+module.exports = { VARIANTS, DEFAULT_VARIANT, isVariant, describeVariant, variantsOf };
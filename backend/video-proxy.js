@@ -0,0 +1,94 @@
+const fetch = require('node-fetch');
+const { pipeline } = require('stream');
+
+// ========================================
+// PROXY DE VIDEO CON SOPORTE DE RANGOS (HTTP 206)
+// El navegador solo ve nuestra URL: la del origen nunca llega al cliente
+// ========================================
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.PROXY_UPSTREAM_TIMEOUT_MS || '15000');
+
+// Cabeceras del cliente que se reenvían al origen (seek, reanudación y caché condicional)
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since', 'accept', 'user-agent'];
+
+// Cabeceras del origen que se devuelven al cliente
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+// 304 y 416 son respuestas válidas a peticiones condicionales o de rango
+const PASSTHROUGH_STATUSES = [200, 206, 304, 416];
+
+// Descarga `url` y la transmite a `res` respetando Range/If-Range.
+// Resuelve { ok: true } si la respuesta se empezó a enviar (o el cliente se fue),
+// o { ok: false, status?, error? } si el origen falló sin haber escrito nada en `res`.
+async function proxyVideo(req, res, url) {
+  const controller = new AbortController();
+  let clientGone = false;
+
+  // 'close' antes de terminar la respuesta = el cliente cortó (seek, cerró la pestaña...)
+  const onClientClose = () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      controller.abort();
+    }
+  };
+  res.on('close', onClientClose);
+
+  const headers = {};
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+
+  // El timeout solo cubre la espera de cabeceras: el cuerpo puede durar todo el episodio
+  const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+
+  let upstream;
+  try {
+    upstream = await fetch(url, {
+      method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+      headers,
+      redirect: 'follow',
+      compress: false,
+      signal: controller.signal
+    });
+  } catch (error) {
+    res.off('close', onClientClose);
+    if (clientGone) return { ok: true, aborted: true };
+    return { ok: false, error: error.name === 'AbortError' ? new Error('Timeout del origen') : error };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!PASSTHROUGH_STATUSES.includes(upstream.status)) {
+    res.off('close', onClientClose);
+    controller.abort();
+    return { ok: false, status: upstream.status };
+  }
+
+  res.status(upstream.status);
+  for (const name of FORWARDED_RESPONSE_HEADERS) {
+    const value = upstream.headers.get(name);
+    if (value) res.set(name, value);
+  }
+  if (upstream.status === 206 && !upstream.headers.get('accept-ranges')) {
+    res.set('Accept-Ranges', 'bytes');
+  }
+  // Helmet pone same-origin por defecto y el <video> del frontend está en otro dominio
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'private, max-age=0');
+
+  if (req.method === 'HEAD' || upstream.status === 304) {
+    controller.abort();
+    res.end();
+    return { ok: true };
+  }
+
+  pipeline(upstream.body, res, (error) => {
+    res.off('close', onClientClose);
+    if (error && !clientGone) {
+      console.warn(`⚠️  Transmisión interrumpida: ${error.message}`);
+    }
+  });
+
+  return { ok: true };
+}
+
+module.exports = { proxyVideo };
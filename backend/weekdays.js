@@ -0,0 +1,31 @@
+const { stripAccents } = require('./text-utils');
+
+// ========================================
+// DÍAS DE LA SEMANA (LUNES A DOMINGO)
+// data.js guarda el día como texto libre: "(Viernes)", "(Sábado)"...
+// ========================================
+const WEEKDAYS = [
+  { key: 'lunes', label: 'Lunes', english: 'monday', ical: 'MO' },
+  { key: 'martes', label: 'Martes', english: 'tuesday', ical: 'TU' },
+  { key: 'miercoles', label: 'Miércoles', english: 'wednesday', ical: 'WE' },
+  { key: 'jueves', label: 'Jueves', english: 'thursday', ical: 'TH' },
+  { key: 'viernes', label: 'Viernes', english: 'friday', ical: 'FR' },
+  { key: 'sabado', label: 'Sábado', english: 'saturday', ical: 'SA' },
+  { key: 'domingo', label: 'Domingo', english: 'sunday', ical: 'SU' }
+];
+
+// "Sábado", "sabado", "SATURDAY" -> entrada de "sabado"; null si no es un día
+function findWeekday(value) {
+  if (!value) return null;
+  const normalized = stripAccents(value).trim().toLowerCase();
+  return WEEKDAYS.find(day => day.key === normalized || day.english === normalized) || null;
+}
+
+// Día de la semana actual en una zona horaria IANA ("America/Mexico_City")
+// Lanza RangeError si la zona horaria no existe
+function currentWeekday(timeZone, date = new Date()) {
+  const english = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone }).format(date);
+  return findWeekday(english);
+}
+
+module.exports = { WEEKDAYS, findWeekday, currentWeekday };